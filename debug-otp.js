@@ -1,25 +1,28 @@
 require('dotenv').config();
-const mongoose = require('mongoose');
-const OTP = require('./src/models/OTP');
+const devOutboxProvider = require('./src/services/otpProviders/devOutboxProvider');
 
+// Print the most recent OTP messages captured by the dev_outbox provider.
+// Usage: node debug-otp.js [email-or-phone] [limit]
 async function checkOTP() {
-  await mongoose.connect(process.env.MONGO_URI);
-  
-  const otps = await OTP.find({
-    identifier: 'rajveershekhawat626@gmail.com'
-  }).sort({ createdAt: -1 }).limit(5);
-  
-  console.log('Recent OTPs:', otps.map(otp => ({
-    identifier: otp.identifier,
-    purpose: otp.purpose,
-    verified: otp.verified,
-    attempts: otp.attempts,
-    createdAt: otp.createdAt,
-    expiresAt: otp.expiresAt,
-    isExpired: otp.expiresAt < new Date()
+  const [to, limit] = process.argv.slice(2);
+
+  const messages = await devOutboxProvider.list({
+    to: to ? to.trim().toLowerCase() : null,
+    limit: parseInt(limit) || 5
+  });
+
+  if (messages.length === 0) {
+    console.log(`No messages in ${devOutboxProvider.dir}. Run with NODE_ENV=development and OTP_DEV_OUTBOX=true, with dev_outbox in OTP_EMAIL_PROVIDERS / OTP_SMS_PROVIDERS.`);
+    return;
+  }
+
+  console.log('Recent OTPs:', messages.map(message => ({
+    to: message.to,
+    channel: message.channel,
+    purpose: message.purpose,
+    code: message.code,
+    createdAt: message.createdAt
   })));
-  
-  mongoose.disconnect();
 }
 
 checkOTP();
@@ -0,0 +1,34 @@
+require('dotenv').config();
+const databaseConfig = require('./src/config/database');
+const User = require('./src/models/User');
+const { ROLES } = require('./src/utils/constants');
+
+// Set a user's role from the command line, e.g. to create the first admin.
+// Usage: node grant-role.js <username> <user|moderator|admin>
+async function grantRole() {
+  const [username, role] = process.argv.slice(2);
+
+  if (!username || !ROLES.includes(role)) {
+    console.log(`Usage: node grant-role.js <username> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  await databaseConfig.connect();
+
+  const user = await User.findOne({ username: username.toLowerCase() });
+  if (!user) {
+    console.log(`No user named "${username}"`);
+  } else {
+    const previousRole = user.role;
+    user.role = role; // pre-save hook syncs the moderator badge
+    await user.save();
+    console.log(`✅ ${user.username}: ${previousRole} → ${role}`);
+  }
+
+  await databaseConfig.disconnect();
+}
+
+grantRole().catch(error => {
+  console.error('❌ Failed to set role:', error.message);
+  process.exit(1);
+});
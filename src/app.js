@@ -4,6 +4,7 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const crypto = require('crypto');
+const config = require('./config');
 
 const app = express();
 
@@ -52,12 +53,23 @@ app.get('/health', (req, res) => {
 app.use('/api/v1/auth', require('./routes/auth'));
 app.use('/api/v1/users', require('./routes/users'));
 app.use('/api/v1/posts', require('./routes/posts'));
+app.use('/api/v1/drafts', require('./routes/drafts'));
 app.use('/api/v1/feed', require('./routes/feed.js'));
+app.use('/api/v1/hashtags', require('./routes/hashtags'));
+app.use('/api/v1/notifications', require('./routes/notifications'));
 app.use('/api/v1/chat', require('./routes/chatRoutes'));
 app.use('/api/v1/media', require('./routes/media'));
 app.use('/api/v1/gifs', require('./routes/gifs'));
 app.use('/api/v1/reels', require('./routes/reelRoutes')); 
 app.use('/api/v1/groups', require('./routes/groupRoutes')); 
+app.use('/api/v1/admin', require('./routes/admin'));
+app.use('/api/v1/moderation', require('./routes/moderation'));
+
+// Dev-only helpers (OTP outbox); unauthenticated, so only mounted with
+// NODE_ENV=development and OTP_DEV_OUTBOX=true
+if (config.isDevOutboxEnabled()) {
+  app.use('/api/v1/dev', require('./routes/dev'));
+}
 
 
 // 404 handler
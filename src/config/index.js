@@ -14,6 +14,13 @@ class Config {
       'TEMP_JWT_SECRET'
     ];
 
+    // TOTP secrets are encrypted with this key; the fallbacks below are for
+    // local development only. Deployments that relied on SESSION_SECRET should
+    // set TWO_FACTOR_ENCRYPTION_KEY to that same value.
+    if (process.env.NODE_ENV === 'production') {
+      required.push('TWO_FACTOR_ENCRYPTION_KEY');
+    }
+
     const missing = required.filter(key => !process.env[key]);
     
     if (missing.length > 0) {
@@ -62,7 +69,16 @@ class Config {
       // Security Configuration
       security: {
         bcryptSaltRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12,
-        sessionSecret: process.env.SESSION_SECRET || 'fallback-session-secret'
+        sessionSecret: process.env.SESSION_SECRET || 'fallback-session-secret',
+        twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'Pulse',
+        twoFactorEncryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.SESSION_SECRET || 'fallback-session-secret',
+
+        // Login alerts (new device / new country / impossible travel)
+        loginAlertsEnabled: process.env.LOGIN_ALERTS_ENABLED !== 'false',
+        // GeoIP is opt-in: sign-in IPs are only sent to a provider set here (https only)
+        geoIpUrl: process.env.GEOIP_LOOKUP_URL || null,
+        impossibleTravelKmh: parseInt(process.env.IMPOSSIBLE_TRAVEL_KMH) || 900,
+        notMeLinkExpiresIn: process.env.NOT_ME_LINK_EXPIRES_IN || '7d'
       },
 
       // Custom OTP Service
@@ -73,7 +89,50 @@ class Config {
         phone: process.env.YOUR_PHONE_NUMBER,
         smsGatewayUrl: process.env.YOUR_SMS_GATEWAY_URL,
         smsApiKey: process.env.YOUR_SMS_API_KEY,
-        smsApiSecret: process.env.YOUR_SMS_API_SECRET
+        smsApiSecret: process.env.YOUR_SMS_API_SECRET,
+
+        // Delivery providers, tried in order until one succeeds
+        emailProviders: (process.env.OTP_EMAIL_PROVIDERS || 'brevo,smtp')
+          .split(',').map(p => p.trim()).filter(Boolean),
+        smsProviders: (process.env.OTP_SMS_PROVIDERS || 'twilio')
+          .split(',').map(p => p.trim()).filter(Boolean),
+        emailFrom: process.env.OTP_EMAIL_FROM || 'Pulsee <rajveershekhawat626@gmail.com>',
+
+        // Local file outbox for codes (add dev_outbox to the provider lists to use it).
+        // Only honoured with NODE_ENV=development
+        devOutboxEnabled: process.env.OTP_DEV_OUTBOX === 'true',
+        outboxDir: process.env.OTP_OUTBOX_DIR || 'tmp/otp-outbox',
+
+        // Magic links in email codes; the link opens this page with ?token=
+        magicLinkEnabled: process.env.OTP_MAGIC_LINK_ENABLED !== 'false',
+        magicLinkUrl: process.env.OTP_MAGIC_LINK_URL ||
+          `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/magic-link`
+      },
+
+      // SMTP server (used by the 'smtp' OTP provider)
+      smtp: {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      },
+
+      // Twilio (used by the 'twilio' OTP provider)
+      twilio: {
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN,
+        from: process.env.TWILIO_FROM
+      },
+
+      // Account lifecycle
+      account: {
+        deletionGraceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30,
+        purgeIntervalMs: parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MS) || 60 * 60 * 1000, // hourly
+        // Written by the worker, served by the API: must be storage both processes share
+        exportDir: process.env.DATA_EXPORT_DIR || 'tmp/exports',
+        exportRetentionHours: parseInt(process.env.DATA_EXPORT_RETENTION_HOURS) || 48,
+        exportIntervalMs: parseInt(process.env.DATA_EXPORT_INTERVAL_MS) || 60 * 1000
       },
 
       // Firebase Configuration
@@ -115,6 +174,14 @@ redis: {
         }
       },
 
+      // Posts & moderation
+      posts: {
+        reportAutoHideThreshold: parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD) || 5, // distinct reporters
+        editWindowMinutes: parseInt(process.env.POST_EDIT_WINDOW_MINUTES) || 60,
+        maxScheduleDays: parseInt(process.env.POST_MAX_SCHEDULE_DAYS) || 90,
+        publishIntervalMs: parseInt(process.env.SCHEDULED_POST_INTERVAL_MS) || 30 * 1000
+      },
+
       // Rate Limiting
       rateLimit: {
         windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000, // 15 minutes
@@ -166,6 +233,11 @@ redis: {
     return this.config.server.nodeEnv === 'development';
   }
 
+  // Dev OTP outbox: explicit opt-in, development only
+  isDevOutboxEnabled() {
+    return this.isDevelopment() && this.config.otp.devOutboxEnabled;
+  }
+
   // Check if in production
   isProduction() {
     return this.config.server.nodeEnv === 'production';
@@ -188,8 +260,8 @@ redis: {
     console.log(`   🚀 Server: ${this.config.server.serverUrl}`);
     console.log(`   📚 Database: ${this.getDatabaseUri().replace(/\/\/.*@/, '//***@')}`);
     console.log(`   🔴 Redis: ${this.config.redis.host}:${this.config.redis.port}`);
-    console.log(`   📧 Email OTP: ${this.config.otp.email ? '✅' : '❌'}`);
-    console.log(`   📱 SMS OTP: ${this.config.otp.smsGatewayUrl ? '✅' : '❌'}`);
+    console.log(`   📧 Email OTP: ${this.config.otp.emailProviders.join(' → ')}`);
+    console.log(`   📱 SMS OTP: ${this.config.otp.smsProviders.join(' → ')}`);
     console.log(`   🔥 Firebase: ${this.config.firebase.projectId ? '✅' : '❌'}`);
     console.log(`   ☁️  Cloudinary: ${this.config.media.cloudinary.cloudName ? '✅' : '❌'}`);
   }
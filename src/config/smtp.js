@@ -6,29 +6,49 @@ class SMTPConfig {
   constructor() {
     this.transporter = null;
     this.isConfigured = false;
+    this.mode = null; // 'smtp' or 'brevo'
   }
 
   async initialize() {
     try {
-      // 1. Get the API Key from environment variables
+      // 1. Prefer a real SMTP server when SMTP_HOST is set
+      const smtp = config.get('smtp');
+
+      if (smtp.host) {
+        this.transporter = nodemailer.createTransport({
+          host: smtp.host,
+          port: smtp.port,
+          secure: smtp.secure,
+          auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+        });
+
+        this.mode = 'smtp';
+        this.isConfigured = true;
+        console.log(`✅ Email Service Configured (via SMTP ${smtp.host}:${smtp.port})`);
+
+        return this.transporter;
+      }
+
+      // 2. Otherwise fall back to the Brevo HTTP API
       const apiKey = process.env.EMAIL_API_KEY;
 
       if (!apiKey) {
-        console.warn('⚠️ Email API Key (EMAIL_API_KEY) is missing in .env');
+        console.warn('⚠️ Neither SMTP_HOST nor EMAIL_API_KEY is set in .env');
         return null;
       }
 
-      // 2. Initialize the Brevo HTTP Transport
+      // 3. Initialize the Brevo HTTP Transport
       this.transporter = nodemailer.createTransport(
         new BrevoTransport({
           apiKey: apiKey
         })
       );
 
-      // 3. Verify the connection (Brevo validates the key here)
+      // 4. Verify the connection (Brevo validates the key here)
+      this.mode = 'brevo';
       this.isConfigured = true;
       console.log('✅ Email Service Configured (via Brevo HTTP)');
-      
+
       return this.transporter;
 
     } catch (error) {
@@ -62,6 +82,19 @@ class SMTPConfig {
   getTransporter() {
     return this.transporter;
   }
+
+  isAvailable() {
+    return this.isConfigured;
+  }
+
+  // Close pooled SMTP connections on shutdown
+  async close() {
+    if (this.transporter && typeof this.transporter.close === 'function') {
+      this.transporter.close();
+    }
+    this.transporter = null;
+    this.isConfigured = false;
+  }
 }
 
 module.exports = new SMTPConfig();
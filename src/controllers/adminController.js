@@ -0,0 +1,133 @@
+const roleService = require('../services/roleService');
+const { ROLES, PERMISSIONS } = require('../utils/constants');
+
+// Map role-management errors to HTTP statuses
+const roleErrorStatus = (message) => {
+  if (message.includes('not found')) return 404;
+  if (message.includes('Invalid')) return 400;
+  if (message.includes('cannot') || message.includes('Only admins')) return 403;
+  return 500;
+};
+
+const sendRoleError = (res, error, fallback) => {
+  const status = roleErrorStatus(error.message || '');
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? fallback : error.message
+  });
+};
+
+// List moderators/admins and users with individual permissions
+exports.getStaff = async (req, res) => {
+  try {
+    const { role } = req.query;
+
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Use one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const staff = await roleService.listStaff(role || null);
+
+    res.json({
+      success: true,
+      count: staff.length,
+      staff,
+      roles: ROLES,
+      permissions: PERMISSIONS
+    });
+
+  } catch (error) {
+    console.error('Get staff error:', error);
+    sendRoleError(res, error, 'Failed to fetch staff');
+  }
+};
+
+// A user's role and permissions
+exports.getUserAccess = async (req, res) => {
+  try {
+    const access = await roleService.getAccess(req.params.userId);
+
+    res.json({
+      success: true,
+      access
+    });
+
+  } catch (error) {
+    console.error('Get user access error:', error);
+    sendRoleError(res, error, 'Failed to fetch user access');
+  }
+};
+
+// Set a user's role (user, moderator, admin)
+exports.setUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role is required'
+      });
+    }
+
+    const access = await roleService.setRole(req.user.userId, req.params.userId, role, req.ip);
+
+    res.json({
+      success: true,
+      access,
+      message: `Role set to ${access.role}`
+    });
+
+  } catch (error) {
+    console.error('Set user role error:', error);
+    sendRoleError(res, error, 'Failed to update role');
+  }
+};
+
+// Grant a single permission on top of the user's role
+exports.grantPermission = async (req, res) => {
+  try {
+    const { permission } = req.body;
+
+    if (!permission) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permission is required'
+      });
+    }
+
+    const access = await roleService.grantPermission(req.user.userId, req.params.userId, permission, req.ip);
+
+    res.json({
+      success: true,
+      access,
+      message: `Granted ${permission}`
+    });
+
+  } catch (error) {
+    console.error('Grant permission error:', error);
+    sendRoleError(res, error, 'Failed to grant permission');
+  }
+};
+
+// Revoke an individually granted permission (role permissions stay)
+exports.revokePermission = async (req, res) => {
+  try {
+    const { permission } = req.params;
+
+    const access = await roleService.revokePermission(req.user.userId, req.params.userId, permission, req.ip);
+
+    res.json({
+      success: true,
+      access,
+      message: `Revoked ${permission}`
+    });
+
+  } catch (error) {
+    console.error('Revoke permission error:', error);
+    sendRoleError(res, error, 'Failed to revoke permission');
+  }
+};
@@ -1,6 +1,8 @@
 // src/controllers/authController.js
 const authService = require('../services/authService');
+const apiTokenService = require('../services/apiTokenService');
 const rateLimit = require('express-rate-limit');
+const mongoose = require('mongoose');
 
 // Phone number validation for Indian numbers
 const validatePhoneNumber = (phone) => {
@@ -54,10 +56,30 @@ const buildE164Phone = (identifier) => {
   return `+91${cleanPhone}`;
 };
 
+// Helper: normalize a password-login identifier (email, phone or username)
+const normalizeLoginIdentifier = (identifier) => {
+  const value = String(identifier).trim();
+
+  if (value.includes('@')) {
+    return validateEmail(value);
+  }
+  if (/^\+?[\d\s-]{10,}$/.test(value)) {
+    return buildE164Phone(value);
+  }
+  return value.toLowerCase();
+};
+
+// Helper: a login reached an account the purge job has already started deleting
+const sendAccountBeingDeleted = (res, error) => res.status(410).json({
+  success: false,
+  error: error.message,
+  code: 'ACCOUNT_BEING_DELETED'
+});
+
 // Initiate authentication (email or phone)
 const initiateAuth = async (req, res) => {
   try {
-    const { method, identifier, deviceId, platform, deviceName, appVersion } = req.body;
+    const { method, identifier, deviceId, platform, deviceName, appVersion, magicLink } = req.body;
 
     if (!method || !identifier) {
       return res.status(400).json({
@@ -101,11 +123,13 @@ const initiateAuth = async (req, res) => {
       });
     }
 
+    // Magic links are bound to the device, so the client must name it
     const result = await authService.initiateAuth(
       processedIdentifier,
       method,
       deviceInfo,
-      req.ip || '127.0.0.1'
+      req.ip || '127.0.0.1',
+      { magicLink: magicLink === true && !!deviceId }
     );
 
     result.identifier = displayIdentifier;
@@ -154,7 +178,8 @@ const verifyOTP = async (req, res) => {
 
     const deviceInfo = {
       deviceId,
-      platform: platform || 'web'
+      platform: platform || 'web',
+      userAgent: req.get('user-agent') || ''
     };
     
     const result = await authService.verifyOTPAndAuth(
@@ -169,6 +194,10 @@ const verifyOTP = async (req, res) => {
 
   } catch (error) {
     console.error('OTP verification error:', error.message);
+
+    if (error.code === 'ACCOUNT_BEING_DELETED') {
+      return sendAccountBeingDeleted(res, error);
+    }
     
     if (error.message && (error.message.includes('Invalid') || error.message.includes('expired'))) {
       return res.status(401).json({
@@ -186,6 +215,135 @@ const verifyOTP = async (req, res) => {
   }
 };
 
+// Finish email auth from a magic link (same outcome as verify-otp)
+const verifyMagicLink = async (req, res) => {
+  try {
+    const { token, nonce, deviceId, platform } = req.body;
+
+    if (!token || !nonce || !deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token, nonce, and deviceId are required',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    const deviceInfo = {
+      deviceId,
+      platform: platform || 'web',
+      userAgent: req.get('user-agent') || ''
+    };
+
+    const result = await authService.verifyMagicLink(
+      String(token),
+      String(nonce),
+      deviceInfo,
+      req.ip || '127.0.0.1'
+    );
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Magic link verification error:', error.message);
+
+    if (error.code === 'ACCOUNT_BEING_DELETED') {
+      return sendAccountBeingDeleted(res, error);
+    }
+
+    if (error.message && error.message.includes('Maximum')) {
+      return res.status(429).json({
+        success: false,
+        error: error.message,
+        code: 'TOO_MANY_ATTEMPTS'
+      });
+    }
+
+    if (error.message && (error.message.includes('Invalid') || error.message.includes('expired'))) {
+      return res.status(401).json({
+        success: false,
+        error: error.message,
+        code: 'INVALID_MAGIC_LINK'
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      code: 'MAGIC_LINK_VERIFICATION_FAILED'
+    });
+  }
+};
+
+// Login with identifier + password
+const login = async (req, res) => {
+  try {
+    const { identifier, password, deviceId, platform, deviceName, appVersion } = req.body;
+
+    if (!identifier || !password || !deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Identifier, password, and deviceId are required',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    const deviceInfo = {
+      deviceId,
+      platform: platform || 'web',
+      deviceName: deviceName || 'Unknown Device',
+      appVersion: appVersion || '1.0.0',
+      userAgent: req.get('user-agent') || ''
+    };
+
+    const result = await authService.loginWithPassword(
+      normalizeLoginIdentifier(identifier),
+      String(password),
+      deviceInfo,
+      req.ip || '127.0.0.1'
+    );
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Password login error:', error.message);
+
+    if (error.code === 'ACCOUNT_BEING_DELETED') {
+      return sendAccountBeingDeleted(res, error);
+    }
+
+    if (error.message && error.message.includes('Account locked')) {
+      return res.status(423).json({
+        success: false,
+        error: error.message,
+        code: 'ACCOUNT_LOCKED',
+        lockUntil: error.lockUntil
+      });
+    }
+
+    if (error.message && error.message.includes('Invalid identifier or password')) {
+      return res.status(401).json({
+        success: false,
+        error: error.message,
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    if (error.message && error.message.includes('Please enter a valid')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        code: 'INVALID_IDENTIFIER'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
 // Create username and password
 const createUsername = async (req, res) => {
   try {
@@ -201,7 +359,8 @@ const createUsername = async (req, res) => {
 
     const deviceInfo = {
       deviceId,
-      platform: req.body.platform || 'web'
+      platform: req.body.platform || 'web',
+      userAgent: req.get('user-agent') || ''
     };
 
     const result = await authService.createUsernameAndPassword(
@@ -262,11 +421,23 @@ const refreshToken = async (req, res) => {
       });
     }
 
-    const result = await authService.refreshAccessToken(refreshTokenValue);
+    const result = await authService.refreshAccessToken(
+      refreshTokenValue,
+      req.ip || '127.0.0.1',
+      req.get('user-agent') || ''
+    );
     res.json(result);
 
   } catch (error) {
     console.error('Token refresh error:', error.message);
+
+    if (error.message && error.message.includes('reuse detected')) {
+      return res.status(401).json({
+        success: false,
+        error: error.message,
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
     
     if (error.message && (error.message.includes('Invalid') || error.message.includes('expired'))) {
       return res.status(401).json({
@@ -331,6 +502,110 @@ const resendOTP = async (req, res) => {
   }
 };
 
+// Request a password reset code
+const forgotPassword = async (req, res) => {
+  try {
+    const { identifier, method } = req.body;
+
+    if (!identifier || !method) {
+      return res.status(400).json({
+        success: false,
+        error: 'Identifier and method are required',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    if (!['email', 'phone'].includes(method)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Method must be either "email" or "phone"',
+        code: 'INVALID_METHOD'
+      });
+    }
+
+    const processedIdentifier = method === 'phone'
+      ? buildE164Phone(identifier)
+      : validateEmail(identifier);
+
+    const result = await authService.requestPasswordReset(
+      processedIdentifier,
+      method,
+      req.ip || '127.0.0.1'
+    );
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Forgot password error:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      code: 'PASSWORD_RESET_REQUEST_FAILED'
+    });
+  }
+};
+
+// Reset password with the OTP
+const resetPassword = async (req, res) => {
+  try {
+    const { identifier, method, otp, newPassword } = req.body;
+
+    if (!identifier || !method || !otp || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Identifier, method, OTP, and newPassword are required',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    if (!['email', 'phone'].includes(method)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Method must be either "email" or "phone"',
+        code: 'INVALID_METHOD'
+      });
+    }
+
+    const processedIdentifier = method === 'phone'
+      ? buildE164Phone(identifier)
+      : validateEmail(identifier);
+
+    const result = await authService.resetPassword(
+      processedIdentifier,
+      String(otp),
+      newPassword,
+      req.ip || '127.0.0.1'
+    );
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Reset password error:', error.message);
+
+    if (error.message && error.message.includes('Password must be')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        code: 'INVALID_PASSWORD'
+      });
+    }
+
+    if (error.message && (error.message.includes('Invalid') || error.message.includes('expired') || error.message.includes('Maximum'))) {
+      return res.status(401).json({
+        success: false,
+        error: error.message,
+        code: 'INVALID_OTP'
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      code: 'PASSWORD_RESET_FAILED'
+    });
+  }
+};
+
 // Check username availability
 const checkUsername = async (req, res) => {
   try {
@@ -376,7 +651,7 @@ const getCurrentUser = async (req, res) => {
 // Logout user
 const logout = async (req, res) => {
   try {
-    const { deviceId } = req.body;
+    const deviceId = req.body.deviceId || req.user.deviceId;
     const user = req.user;
 
     if (!deviceId) {
@@ -400,36 +675,634 @@ const logout = async (req, res) => {
   }
 };
 
-// Handle Firebase Login
-const firebaseLogin = async (req, res) => {
+// List logged-in devices
+const getSessions = async (req, res) => {
   try {
-    const { idToken, deviceId, platform, deviceName } = req.body;
+    const result = await authService.getUserSessions(req.user.userId, req.user.deviceId);
+    res.json(result);
+  } catch (error) {
+    console.error('Get sessions error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
 
-    if (!idToken || !deviceId) {
-      return res.status(400).json({
+// Revoke a single device session
+const revokeSession = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+
+    const result = await authService.revokeSession(req.user.userId, deviceId);
+    res.json(result);
+
+  } catch (error) {
+    console.error('Revoke session error:', error.message);
+
+    if (error.message && error.message.includes('not found')) {
+      return res.status(404).json({
         success: false,
-        error: 'Firebase ID token and Device ID are required',
-        code: 'MISSING_FIELDS'
+        error: error.message,
+        code: 'SESSION_NOT_FOUND'
       });
     }
 
-    const deviceInfo = {
-      deviceId,
-      platform: platform || 'mobile',
-      deviceName: deviceName || 'Unknown'
-    };
-
-    // Call the NEW service method
-    const result = await authService.loginWithFirebase(
-      idToken,
-      deviceInfo,
-      req.ip || '127.0.0.1'
-    );
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
 
+// Log out all devices except the current one
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await authService.revokeAllSessions(req.user.userId, req.user.deviceId);
     res.json(result);
-
   } catch (error) {
-    console.error('Firebase login controller error:', error.message);
+    console.error('Revoke other sessions error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// Map two-factor errors to HTTP responses
+const handleTwoFactorError = (res, error) => {
+  if (error.code === 'ACCOUNT_BEING_DELETED') {
+    return sendAccountBeingDeleted(res, error);
+  }
+
+  if (error.message && error.message.includes('not enabled on this server')) {
+    return res.status(403).json({
+      success: false,
+      error: error.message,
+      code: 'TWO_FACTOR_DISABLED'
+    });
+  }
+
+  if (error.message && error.message.includes('Account locked')) {
+    return res.status(423).json({
+      success: false,
+      error: error.message,
+      code: 'ACCOUNT_LOCKED',
+      lockUntil: error.lockUntil
+    });
+  }
+
+  if (error.message && (error.message.includes('Invalid two-factor code') ||
+      error.message.includes('Temporary token expired') ||
+      error.message.includes('Invalid temporary token') ||
+      error.message.includes('Invalid token type') ||
+      error.message.includes('Invalid challenge'))) {
+    return res.status(401).json({
+      success: false,
+      error: error.message,
+      code: 'INVALID_TWO_FACTOR_CODE'
+    });
+  }
+
+  if (error.message && (error.message.includes('already enabled') ||
+      error.message.includes('not enabled for this account') ||
+      error.message.includes('has not been started'))) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      code: 'TWO_FACTOR_STATE_INVALID'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    code: 'INTERNAL_ERROR'
+  });
+};
+
+// Complete a login paused at the two-factor challenge
+const verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode, deviceId, platform, deviceName, appVersion } = req.body;
+
+    if (!challengeToken || !deviceId || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'challengeToken, deviceId and a code or recoveryCode are required',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    const deviceInfo = {
+      deviceId,
+      platform: platform || 'web',
+      deviceName: deviceName || 'Unknown Device',
+      appVersion: appVersion || '1.0.0',
+      userAgent: req.get('user-agent') || ''
+    };
+
+    const result = await authService.verifyTwoFactorLogin(
+      challengeToken,
+      code,
+      recoveryCode,
+      deviceInfo,
+      req.ip || '127.0.0.1'
+    );
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Verify two-factor error:', error.message);
+    handleTwoFactorError(res, error);
+  }
+};
+
+// Two-factor status for the current user
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const result = await authService.getTwoFactorStatus(req.user.userId);
+    res.json(result);
+  } catch (error) {
+    console.error('Two-factor status error:', error.message);
+    handleTwoFactorError(res, error);
+  }
+};
+
+// Start authenticator app enrollment
+const setupTwoFactor = async (req, res) => {
+  try {
+    const result = await authService.setupTwoFactor(req.user.userId);
+    res.json(result);
+  } catch (error) {
+    console.error('Two-factor setup error:', error.message);
+    handleTwoFactorError(res, error);
+  }
+};
+
+// Confirm enrollment with the first authenticator code
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Authenticator code is required',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    const result = await authService.enableTwoFactor(req.user.userId, code);
+    res.json(result);
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error.message);
+    handleTwoFactorError(res, error);
+  }
+};
+
+// Turn two-factor auth off
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        error: 'An authenticator code or recovery code is required',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    const result = await authService.disableTwoFactor(req.user.userId, code, recoveryCode);
+    res.json(result);
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error.message);
+    handleTwoFactorError(res, error);
+  }
+};
+
+// Replace recovery codes
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Authenticator code is required',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    const result = await authService.regenerateRecoveryCodes(req.user.userId, code);
+    res.json(result);
+
+  } catch (error) {
+    console.error('Recovery code regeneration error:', error.message);
+    handleTwoFactorError(res, error);
+  }
+};
+
+// Map linked sign-in method errors to HTTP responses
+const handleAuthMethodError = (res, error) => {
+  const message = error.message || '';
+
+  if (message.includes('already linked')) {
+    return res.status(409).json({
+      success: false,
+      error: message,
+      code: message.includes('another account') ? 'AUTH_METHOD_IN_USE' : 'AUTH_METHOD_EXISTS'
+    });
+  }
+
+  if (message.includes('last verified')) {
+    return res.status(400).json({
+      success: false,
+      error: message,
+      code: 'LAST_AUTH_METHOD'
+    });
+  }
+
+  if (message.includes('Auth method not found')) {
+    return res.status(404).json({
+      success: false,
+      error: message,
+      code: 'AUTH_METHOD_NOT_FOUND'
+    });
+  }
+
+  if (message.includes('Too many')) {
+    return res.status(429).json({
+      success: false,
+      error: message,
+      code: 'OTP_RATE_LIMIT_EXCEEDED'
+    });
+  }
+
+  if (message.includes('Failed to send')) {
+    return res.status(400).json({
+      success: false,
+      error: message,
+      code: 'OTP_SEND_FAILED'
+    });
+  }
+
+  if (message.includes('OTP')) {
+    return res.status(401).json({
+      success: false,
+      error: message,
+      code: 'INVALID_OTP'
+    });
+  }
+
+  if (message.includes('Please enter a valid') || message.includes('Unsupported identity provider')) {
+    return res.status(400).json({
+      success: false,
+      error: message,
+      code: 'INVALID_IDENTIFIER'
+    });
+  }
+
+  if (message.includes('Firebase') || message.includes('ID token')) {
+    return res.status(401).json({
+      success: false,
+      error: 'Identity provider token is invalid or expired',
+      code: 'INVALID_FIREBASE_TOKEN'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    code: 'INTERNAL_ERROR'
+  });
+};
+
+// Helper: validate method + identifier for email/phone linking
+const parseLinkIdentifier = (method, identifier) => {
+  if (!['email', 'phone'].includes(method)) {
+    throw new Error('Please enter a valid method: "email" or "phone"');
+  }
+  return method === 'phone' ? buildE164Phone(identifier) : validateEmail(identifier);
+};
+
+// List linked sign-in methods
+const getAuthMethods = async (req, res) => {
+  try {
+    const result = await authService.getAuthMethods(req.user.userId);
+    res.json(result);
+  } catch (error) {
+    console.error('Get auth methods error:', error.message);
+    handleAuthMethodError(res, error);
+  }
+};
+
+// Send a code to an email/phone to link it
+const linkAuthMethod = async (req, res) => {
+  try {
+    const { method, identifier } = req.body;
+
+    if (!method || !identifier) {
+      return res.status(400).json({
+        success: false,
+        error: 'Method and identifier are required',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    const result = await authService.initiateAuthMethodLink(
+      req.user.userId,
+      method,
+      parseLinkIdentifier(method, identifier),
+      req.ip || '127.0.0.1'
+    );
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Link auth method error:', error.message);
+    handleAuthMethodError(res, error);
+  }
+};
+
+// Confirm the code and link the email/phone
+const verifyAuthMethodLink = async (req, res) => {
+  try {
+    const { method, identifier, otp } = req.body;
+
+    if (!method || !identifier || !otp) {
+      return res.status(400).json({
+        success: false,
+        error: 'Method, identifier and OTP are required',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    const result = await authService.verifyAuthMethodLink(
+      req.user.userId,
+      method,
+      parseLinkIdentifier(method, identifier),
+      String(otp),
+      req.ip || '127.0.0.1'
+    );
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Verify auth method link error:', error.message);
+    handleAuthMethodError(res, error);
+  }
+};
+
+// Attach a Google/Facebook identity using a Firebase ID token
+const linkFirebaseAuthMethod = async (req, res) => {
+  try {
+    const { idToken } = req.body;
+
+    if (!idToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Firebase ID token is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const result = await authService.linkFirebaseIdentity(req.user.userId, idToken);
+    res.json(result);
+
+  } catch (error) {
+    console.error('Link Firebase identity error:', error.message);
+    handleAuthMethodError(res, error);
+  }
+};
+
+// Remove a linked sign-in method
+const unlinkAuthMethod = async (req, res) => {
+  try {
+    const result = await authService.unlinkAuthMethod(req.user.userId, req.params.methodId);
+    res.json(result);
+  } catch (error) {
+    console.error('Unlink auth method error:', error.message);
+    handleAuthMethodError(res, error);
+  }
+};
+
+// "This wasn't me" from a login alert email - signs the reported session out
+const reportUnrecognizedLogin = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token is required',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    const result = await authService.reportUnrecognizedLogin(String(token), req.ip || '127.0.0.1');
+    res.json(result);
+
+  } catch (error) {
+    console.error('Report login error:', error.message);
+
+    if (error.message && error.message.includes('already used')) {
+      return res.status(401).json({
+        success: false,
+        error: 'This link has already been used',
+        code: 'TOKEN_ALREADY_USED'
+      });
+    }
+
+    if (error.message && (error.message.includes('Invalid') || error.message.includes('expired'))) {
+      return res.status(401).json({
+        success: false,
+        error: 'This link is invalid or has expired',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// Recent security events for the current user
+const getSecurityEvents = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { before } = req.query;
+
+    if (before && isNaN(new Date(before).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid "before" cursor',
+        code: 'INVALID_CURSOR'
+      });
+    }
+
+    const result = await authService.getSecurityEvents(req.user.userId, { limit, before });
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get security events error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// List the user's personal access tokens
+const getApiTokens = async (req, res) => {
+  try {
+    const tokens = await apiTokenService.listTokens(req.user.userId);
+    res.json({
+      success: true,
+      tokens
+    });
+  } catch (error) {
+    console.error('Get API tokens error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// Create a named, scoped personal access token (the value is shown once)
+const createApiToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !scopes) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name and scopes are required',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    const token = await apiTokenService.createToken(req.user.userId, { name, scopes, expiresInDays });
+
+    res.status(201).json({
+      success: true,
+      token,
+      message: 'Copy this token now - it will not be shown again'
+    });
+
+  } catch (error) {
+    console.error('Create API token error:', error.message);
+
+    if (error.message && error.message.includes('limit')) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        code: 'API_TOKEN_LIMIT_REACHED'
+      });
+    }
+
+    if (error.message && (error.message.includes('Invalid') || error.message.includes('required'))) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        code: 'INVALID_API_TOKEN_REQUEST'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// Revoke a personal access token
+const revokeApiToken = async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+
+    if (!mongoose.isValidObjectId(tokenId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'API token not found',
+        code: 'API_TOKEN_NOT_FOUND'
+      });
+    }
+
+    const token = await apiTokenService.revokeToken(req.user.userId, tokenId);
+    res.json({
+      success: true,
+      token,
+      message: 'API token revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke API token error:', error.message);
+
+    if (error.message && error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+        code: 'API_TOKEN_NOT_FOUND'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+// Handle Firebase Login
+const firebaseLogin = async (req, res) => {
+  try {
+    const { idToken, deviceId, platform, deviceName } = req.body;
+
+    if (!idToken || !deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Firebase ID token and Device ID are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const deviceInfo = {
+      deviceId,
+      platform: platform || 'mobile',
+      deviceName: deviceName || 'Unknown',
+      userAgent: req.get('user-agent') || ''
+    };
+
+    // Call the NEW service method
+    const result = await authService.loginWithFirebase(
+      idToken,
+      deviceInfo,
+      req.ip || '127.0.0.1'
+    );
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Firebase login controller error:', error.message);
+
+    if (error.code === 'ACCOUNT_BEING_DELETED') {
+      return sendAccountBeingDeleted(res, error);
+    }
     
     // Handle specific Firebase errors cleanly
     if (error.message.includes('Firebase ID token has expired')) {
@@ -451,13 +1324,36 @@ const firebaseLogin = async (req, res) => {
 module.exports = {
   initiateAuth,
   verifyOTP,
+  verifyMagicLink,
+  login,
   createUsername,
   refreshToken,
   resendOTP,
+  forgotPassword,
+  resetPassword,
   checkUsername,
   getCurrentUser,
   logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   firebaseLogin,
+  verifyTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getAuthMethods,
+  linkAuthMethod,
+  verifyAuthMethodLink,
+  linkFirebaseAuthMethod,
+  unlinkAuthMethod,
+  reportUnrecognizedLogin,
+  getSecurityEvents,
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
   authRateLimit,
   otpRateLimit
 };
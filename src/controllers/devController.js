@@ -0,0 +1,45 @@
+const devOutboxProvider = require('../services/otpProviders/devOutboxProvider');
+
+// List messages captured by the dev outbox OTP provider
+exports.getOutbox = async (req, res) => {
+  try {
+    const { to, limit = 20 } = req.query;
+
+    const messages = await devOutboxProvider.list({
+      to: to ? String(to).trim().toLowerCase() : null,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+
+    res.json({
+      success: true,
+      count: messages.length,
+      messages
+    });
+
+  } catch (error) {
+    console.error('Dev outbox error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to read outbox'
+    });
+  }
+};
+
+// Empty the dev outbox
+exports.clearOutbox = async (req, res) => {
+  try {
+    await devOutboxProvider.clear();
+
+    res.json({
+      success: true,
+      message: 'Outbox cleared'
+    });
+
+  } catch (error) {
+    console.error('Dev outbox clear error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear outbox'
+    });
+  }
+};
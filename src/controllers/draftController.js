@@ -0,0 +1,93 @@
+const draftService = require('../services/draftService');
+const { processPosts } = require('./feedController');
+
+const sendDraftError = (res, error, fallback) => {
+  const status = error.status || (['ValidationError', 'CastError'].includes(error.name) ? 400 : 500);
+
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? fallback : error.message,
+    // On a version conflict the client gets the current draft to merge with
+    ...(error.draft && { data: error.draft })
+  });
+};
+
+// List my drafts, most recently edited first
+exports.getDrafts = async (req, res) => {
+  try {
+    const drafts = await draftService.listDrafts(req.user.userId);
+    res.json({ success: true, data: drafts });
+  } catch (error) {
+    console.error('Get drafts error:', error.message);
+    sendDraftError(res, error, 'Failed to fetch drafts');
+  }
+};
+
+exports.getDraft = async (req, res) => {
+  try {
+    const draft = await draftService.getDraft(req.user.userId, req.params.draftId);
+    res.json({ success: true, data: draft });
+  } catch (error) {
+    console.error('Get draft error:', error.message);
+    sendDraftError(res, error, 'Failed to fetch draft');
+  }
+};
+
+// Start a draft
+exports.createDraft = async (req, res) => {
+  try {
+    const draft = await draftService.createDraft(req.user.userId, req.body, req.user.deviceId);
+    res.status(201).json({ success: true, data: draft });
+  } catch (error) {
+    console.error('Create draft error:', error.message);
+    sendDraftError(res, error, 'Failed to create draft');
+  }
+};
+
+// Autosave: send the fields that changed plus the `version` being edited
+exports.updateDraft = async (req, res) => {
+  try {
+    const { version, ...fields } = req.body;
+
+    const draft = await draftService.updateDraft(
+      req.user.userId,
+      req.params.draftId,
+      fields,
+      version,
+      req.user.deviceId
+    );
+
+    res.json({ success: true, data: draft });
+  } catch (error) {
+    if (error.status !== 409) console.error('Update draft error:', error.message);
+    sendDraftError(res, error, 'Failed to save draft');
+  }
+};
+
+exports.deleteDraft = async (req, res) => {
+  try {
+    await draftService.deleteDraft(req.user.userId, req.params.draftId);
+    res.json({ success: true, message: 'Draft deleted' });
+  } catch (error) {
+    console.error('Delete draft error:', error.message);
+    sendDraftError(res, error, 'Failed to delete draft');
+  }
+};
+
+// Publish (or schedule, if the draft has publishAt) as a real post
+exports.publishDraft = async (req, res) => {
+  try {
+    const { post, alreadyPublished } = await draftService.publishDraft(req.user.userId, req.params.draftId);
+
+    await post.populate('author', 'username name avatar profile isVerified');
+
+    res.status(alreadyPublished ? 200 : 201).json({
+      success: true,
+      data: (await processPosts([post], req.user.userId))[0],
+      message: post.isScheduled ? 'Post scheduled' : 'Post published'
+    });
+  } catch (error) {
+    console.error('Publish draft error:', error.message);
+    sendDraftError(res, error, 'Failed to publish draft');
+  }
+};
@@ -1,10 +1,11 @@
 const Post = require('../models/Post');
 const User = require('../models/User');
+const pollService = require('../services/pollService');
 
-// Helper function to process posts and attach like status + mask anonymous
-const processPosts = (posts, userId) => {
+// Helper function to process posts and attach like status + poll votes + mask anonymous
+const processPosts = async (posts, userId) => {
     if (!posts) return [];
-    return posts.map(post => {
+    const processed = posts.map(post => {
         const postObj = typeof post.toObject === 'function' ? post.toObject() : post;
         
         // Mask author if anonymous
@@ -18,15 +19,27 @@ const processPosts = (posts, userId) => {
             };
         }
         
+        // Reposted/quoted post that was deleted or made non-public since
+        const original = postObj.originalPost;
+        if (original && original._id && (!original.isActive || original.isHidden || original.visibility !== 'public')) {
+            postObj.originalPost = { _id: original._id, isUnavailable: true };
+        }
+        
         return {
             ...postObj,
             isLiked: postObj.likes?.some(id => id.toString() === userId) || false
         };
     });
+
+    // Poll tallies plus this user's vote
+    await pollService.attachVotes(processed, userId);
+    return processed;
 };
 
+exports.processPosts = processPosts;
+
 /**
- * @desc    Get the personalized home feed (Follower posts + Own posts)
+ * @desc    Get the personalized home feed (Follower posts + Own posts + followed hashtags)
  * @route   GET /api/v1/feed/home
  * @access  Private
  */
@@ -35,16 +48,26 @@ exports.getHomeFeed = async (req, res) => {
         const { page = 1, limit = 20, lastPostDate } = req.query;
         const userId = req.user.userId;
 
-        const user = await User.findById(userId).select('following');
+        const user = await User.findById(userId).select('following followedHashtags');
         const followingIds = user.following || [];
+        const followedHashtags = user.followedHashtags || [];
 
         const posts = await Post.getHomeFeed(userId, followingIds, {
             page: parseInt(page),
             limit: parseInt(limit),
-            lastPostDate
+            lastPostDate,
+            hashtags: followedHashtags
         });
 
-        const postsWithLikes = processPosts(posts, userId); // ✅ Now masks anonymous
+        const postsWithLikes = await processPosts(posts, userId); // ✅ Now masks anonymous
+
+        // Say why posts from people the user doesn't follow are here
+        const feedAuthorIds = new Set([...followingIds, userId].map(id => id.toString()));
+        postsWithLikes.forEach(post => {
+            if (post.author?._id && feedAuthorIds.has(post.author._id.toString())) return;
+            const matched = (post.content?.hashtags || []).filter(tag => followedHashtags.includes(tag));
+            if (matched.length) post.matchedHashtags = matched;
+        });
 
         res.json({
             success: true,
@@ -77,7 +100,7 @@ exports.getGlobalFeed = async (req, res) => {
             lastPostDate
         });
 
-        const postsWithLikes = processPosts(posts, userId); // ✅ Now masks anonymous
+        const postsWithLikes = await processPosts(posts, userId); // ✅ Now masks anonymous
 
         res.json({
             success: true,
@@ -109,7 +132,7 @@ exports.getTrendingPosts = async (req, res) => {
             timeRange: parseInt(timeRange)
         });
 
-        const postsWithLikes = processPosts(posts, userId); // ✅ Now masks anonymous
+        const postsWithLikes = await processPosts(posts, userId); // ✅ Now masks anonymous
 
         res.json({
             success: true,
@@ -142,7 +165,7 @@ exports.getNearbyPosts = async (req, res) => {
             { limit: parseInt(limit) }
         );
 
-        const postsWithLikes = processPosts(posts, userId); // ✅ Now masks anonymous
+        const postsWithLikes = await processPosts(posts, userId); // ✅ Now masks anonymous
 
         res.json({
             success: true,
@@ -0,0 +1,146 @@
+const hashtagService = require('../services/hashtagService');
+const { processPosts } = require('./feedController');
+
+const invalidTag = (res) => res.status(400).json({ success: false, message: 'Invalid hashtag' });
+
+/**
+ * @desc    Posts with a hashtag, newest first (cursor paginated)
+ * @route   GET /api/v1/hashtags/:tag/posts
+ * @access  Private
+ */
+exports.getHashtagPosts = async (req, res) => {
+    try {
+        const tag = hashtagService.normalizeTag(req.params.tag);
+        if (!tag) return invalidTag(res);
+
+        const { cursor, limit = 20 } = req.query;
+        const userId = req.user.userId;
+
+        const [result, isFollowing] = await Promise.all([
+            hashtagService.getPosts(tag, { cursor, limit }),
+            hashtagService.isFollowing(userId, tag)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                tag,
+                isFollowing,
+                posts: await processPosts(result.posts, userId)
+            },
+            pagination: {
+                nextCursor: result.nextCursor,
+                hasMore: result.hasMore
+            }
+        });
+    } catch (error) {
+        if (error.message === 'Invalid cursor') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('Get hashtag posts error:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+/**
+ * @desc    Trending hashtags over a sliding window, optionally near a location
+ * @route   GET /api/v1/hashtags/trending
+ * @access  Private
+ */
+exports.getTrendingHashtags = async (req, res) => {
+    try {
+        const { window = '24h', longitude, latitude, radius = 10000, limit = 10 } = req.query;
+
+        let coordinates = null;
+        if (longitude !== undefined || latitude !== undefined) {
+            coordinates = [parseFloat(longitude), parseFloat(latitude)];
+            if (coordinates.some(isNaN)) {
+                return res.status(400).json({ success: false, message: 'Both longitude and latitude are required' });
+            }
+        }
+
+        const hashtags = await hashtagService.getTrending({
+            window,
+            coordinates,
+            radius: Math.min(Math.max(parseInt(radius) || 10000, 100), 100000),
+            limit
+        });
+
+        res.json({
+            success: true,
+            data: hashtags,
+            window
+        });
+    } catch (error) {
+        if (error.message.includes('Invalid window')) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('Get trending hashtags error:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+/**
+ * @desc    Hashtags I follow
+ * @route   GET /api/v1/hashtags/following
+ * @access  Private
+ */
+exports.getFollowedHashtags = async (req, res) => {
+    try {
+        const hashtags = await hashtagService.getFollowed(req.user.userId);
+
+        res.json({ success: true, data: hashtags });
+    } catch (error) {
+        console.error('Get followed hashtags error:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+/**
+ * @desc    Follow a hashtag
+ * @route   POST /api/v1/hashtags/:tag/follow
+ * @access  Private
+ */
+exports.followHashtag = async (req, res) => {
+    try {
+        const tag = hashtagService.normalizeTag(req.params.tag);
+        if (!tag) return invalidTag(res);
+
+        const hashtags = await hashtagService.follow(req.user.userId, tag);
+
+        res.json({
+            success: true,
+            data: { tag, isFollowing: true, following: hashtags },
+            message: `Following #${tag}`
+        });
+    } catch (error) {
+        if (error.message.includes('You can follow up to')) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('Follow hashtag error:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+/**
+ * @desc    Unfollow a hashtag
+ * @route   DELETE /api/v1/hashtags/:tag/follow
+ * @access  Private
+ */
+exports.unfollowHashtag = async (req, res) => {
+    try {
+        const tag = hashtagService.normalizeTag(req.params.tag);
+        if (!tag) return invalidTag(res);
+
+        const hashtags = await hashtagService.unfollow(req.user.userId, tag);
+
+        res.json({
+            success: true,
+            data: { tag, isFollowing: false, following: hashtags },
+            message: `Unfollowed #${tag}`
+        });
+    } catch (error) {
+        console.error('Unfollow hashtag error:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const { REPORT_REASONS } = require('../utils/constants');
+
+// Count each reason in a list of report reasons
+const countReasons = (reasons) => reasons.reduce((counts, reason) => {
+  counts[reason] = (counts[reason] || 0) + 1;
+  return counts;
+}, {});
+
+const buildDecision = (req, action) => ({
+  action,
+  moderator: req.user.userId,
+  note: typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 500) : '',
+  decidedAt: new Date()
+});
+
+// Pending reports grouped by post, most reported first
+exports.getQueue = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, reason } = req.query;
+
+    if (reason && !REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be one of: ${REPORT_REASONS.join(', ')}`
+      });
+    }
+
+    const groups = await Report.getQueue({
+      limit: parseInt(limit),
+      skip: (parseInt(page) - 1) * parseInt(limit),
+      reason: reason || null
+    });
+
+    const posts = await Post.find({ _id: { $in: groups.map(group => group._id) } })
+      .select('author content visibility isAnonymous isActive isHidden hiddenAt reportCount createdAt')
+      .populate('author', 'username name avatar profile isVerified')
+      .lean();
+    const postsById = new Map(posts.map(post => [post._id.toString(), post]));
+
+    res.json({
+      success: true,
+      data: groups.map(group => ({
+        post: postsById.get(group._id.toString()) || { _id: group._id, isUnavailable: true },
+        pendingReports: group.reportCount,
+        reasons: countReasons(group.reasons),
+        firstReportedAt: group.firstReportedAt,
+        lastReportedAt: group.lastReportedAt
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        hasMore: groups.length === parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get moderation queue error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Every report on a post, with reporters
+exports.getPostReports = async (req, res) => {
+  try {
+    const { postId } = req.params;
+
+    if (!mongoose.isValidObjectId(postId)) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    const [post, reports] = await Promise.all([
+      Post.findById(postId)
+        .populate('author', 'username name avatar profile isVerified')
+        .lean(),
+      Report.find({ post: postId })
+        .sort({ createdAt: -1 })
+        .populate('reporter', 'username name avatar profile')
+        .populate('decision.moderator', 'username')
+        .lean()
+    ]);
+
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        post,
+        reports
+      }
+    });
+  } catch (error) {
+    console.error('Get post reports error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Reports were unfounded: close them and restore an auto-hidden post
+exports.dismissReports = async (req, res) => {
+  try {
+    const { postId } = req.params;
+
+    if (!mongoose.isValidObjectId(postId)) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    const decision = buildDecision(req, 'dismiss');
+
+    const result = await Report.updateMany(
+      { post: postId, status: 'pending' },
+      { $set: { status: 'dismissed', decision } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ success: false, message: 'No pending reports for this post' });
+    }
+
+    await Post.updateOne(
+      { _id: postId, takenDownAt: null },
+      { $set: { reportCount: 0, isReported: false, isHidden: false, hiddenAt: null } }
+    );
+
+    console.log(`✅ Reports on post ${postId} dismissed by ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      data: {
+        postId,
+        action: 'dismiss',
+        reportsClosed: result.modifiedCount
+      },
+      message: 'Reports dismissed'
+    });
+  } catch (error) {
+    console.error('Dismiss reports error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Remove the post and close its pending reports
+exports.takeDownPost = async (req, res) => {
+  try {
+    const { postId } = req.params;
+
+    if (!mongoose.isValidObjectId(postId)) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    const post = await Post.findOneAndUpdate(
+      { _id: postId, takenDownAt: null },
+      {
+        $set: {
+          isActive: false,
+          isHidden: true,
+          hiddenAt: new Date(),
+          takenDownAt: new Date(),
+          isScheduled: false,
+          reportCount: 0,
+          isReported: false
+        }
+      }
+    );
+
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'Post not found or already taken down' });
+    }
+
+    const decision = buildDecision(req, 'take_down');
+    const result = await Report.updateMany(
+      { post: postId, status: 'pending' },
+      { $set: { status: 'actioned', decision } }
+    );
+
+    // Same bookkeeping as the author deleting it
+    if (post.isActive) {
+      if (post.originalPost) {
+        await Post.updateOne(
+          { _id: post.originalPost, 'stats.shares': { $gt: 0 } },
+          { $inc: { 'stats.shares': -1 } }
+        );
+      }
+      if (!post.isRepost && !post.isScheduled) {
+        await User.findByIdAndUpdate(post.author, { $inc: { 'stats.posts': -1 } });
+      }
+    }
+
+    console.log(`🚫 Post ${postId} taken down by ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      data: {
+        postId,
+        action: 'take_down',
+        reportsClosed: result.modifiedCount
+      },
+      message: 'Post taken down'
+    });
+  } catch (error) {
+    console.error('Take down post error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const notificationService = require('../services/notificationService');
+
+// Get my notifications
+exports.getNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unreadOnly } = req.query;
+
+    const [notifications, unreadCount] = await Promise.all([
+      notificationService.list(req.user.userId, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        unreadOnly: unreadOnly === 'true'
+      }),
+      notificationService.unreadCount(req.user.userId)
+    ]);
+
+    res.json({
+      success: true,
+      data: notifications,
+      unreadCount,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        hasMore: notifications.length === parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Unread badge count
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await notificationService.unreadCount(req.user.userId);
+    res.json({ success: true, data: { unreadCount } });
+  } catch (error) {
+    console.error('Get unread count error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Mark notifications read: { ids: [...] }, or all when no ids are given
+exports.markRead = async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+
+    if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => mongoose.isValidObjectId(id)))) {
+      return res.status(400).json({ success: false, message: 'ids must be an array of notification IDs' });
+    }
+
+    const updated = await notificationService.markRead(req.user.userId, ids || null);
+
+    res.json({
+      success: true,
+      data: { updated },
+      message: 'Notifications marked as read'
+    });
+  } catch (error) {
+    console.error('Mark notifications read error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Delete a notification
+exports.deleteNotification = async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+
+    if (!mongoose.isValidObjectId(notificationId)) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    await notificationService.remove(req.user.userId, notificationId);
+
+    res.json({ success: true, message: 'Notification deleted' });
+  } catch (error) {
+    if (error.message === 'Notification not found') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    console.error('Delete notification error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
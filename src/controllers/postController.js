@@ -1,6 +1,13 @@
 const Post = require('../models/Post');
 const User = require('../models/User');
 const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const PostRevision = require('../models/PostRevision');
+const config = require('../config');
+const notificationService = require('../services/notificationService');
+const postService = require('../services/postService');
+const pollService = require('../services/pollService');
+const { REPORT_REASONS, MAX_PINNED_POSTS } = require('../utils/constants');
 
 // Helper function to mask anonymous posts
 const maskAnonymousPost = (post) => {
@@ -16,29 +23,43 @@ const maskAnonymousPost = (post) => {
       isVerified: false
     };
   }
+
+  // Reposted/quoted post that was deleted or made non-public since
+  const original = postObj.originalPost;
+  if (original && original._id && (!original.isActive || original.isHidden || original.visibility !== 'public')) {
+    postObj.originalPost = { _id: original._id, isUnavailable: true };
+  }
   
   return postObj;
 };
 
+// Embed the reposted/quoted post with its author
+const originalPostPopulate = {
+  path: 'originalPost',
+  populate: { path: 'author', select: 'username name avatar profile isVerified' }
+};
+
+// Pinned posts in profile order (most recently pinned first)
+const getPinOrder = async (userId) => {
+  const pinned = await Post.find({ author: userId, isPinned: true, isActive: true })
+    .sort({ pinnedAt: -1 })
+    .select('_id pinnedAt')
+    .lean();
+
+  return pinned.map((post, index) => ({
+    postId: post._id,
+    position: index + 1,
+    pinnedAt: post.pinnedAt
+  }));
+};
+
 // Create post
 exports.createPost = async (req, res) => {
   try {
-    const { text, media, location, visibility, allowComments, isAnonymous } = req.body;
+    const { text, media, location, visibility, allowComments, isAnonymous, publishAt, poll } = req.body;
 
-    const post = new Post({
-      author: req.user.userId,
-      content: { text, media: media || [] },
-      location,
-      visibility: visibility || 'public',
-      allowComments: allowComments !== undefined ? allowComments : true,
-      isAnonymous: isAnonymous || false
-    });
-
-    await post.save();
-
-    // Update user post count
-    await User.findByIdAndUpdate(req.user.userId, {
-      $inc: { 'stats.posts': 1 }
+    const post = await postService.createPost(req.user.userId, {
+      text, media, location, visibility, allowComments, isAnonymous, publishAt, poll
     });
 
     // ✅ FIX: Added 'profile'
@@ -46,12 +67,17 @@ exports.createPost = async (req, res) => {
 
     // Mask if anonymous before sending response
     const maskedPost = maskAnonymousPost(post);
+    await pollService.attachVotes([maskedPost], req.user.userId);
 
     res.status(201).json({
       success: true,
-      data: maskedPost
+      data: maskedPost,
+      ...(post.isScheduled && { message: 'Post scheduled' })
     });
   } catch (error) {
+    if (postService.isInputError(error)) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     console.error('Create post error:', error.message);
     res.status(500).json({ success: false, message: error.message });
   }
@@ -65,18 +91,24 @@ exports.getPost = async (req, res) => {
     const post = await Post.findById(postId)
       // ✅ FIX: Added 'profile'
       .populate('author', 'username name avatar profile isVerified')
-      .populate('originalPost');
+      .populate(originalPostPopulate);
 
     if (!post || !post.isActive) {
       return res.status(404).json({ success: false, message: 'Post not found' });
     }
 
+    // Hidden (reported/taken down) and scheduled posts stay visible to their author only
+    if ((post.isHidden || post.isScheduled) && (post.author._id || post.author).toString() !== req.user.userId) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
     // Increment view count
     post.stats.views += 1;
     await post.save();
 
     const postObj = maskAnonymousPost(post);
     const isLiked = post.isLikedBy(req.user.userId);
+    await pollService.attachVotes([postObj], req.user.userId);
 
     res.json({
       success: true,
@@ -99,20 +131,28 @@ exports.getUserPosts = async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
+    const isOwnProfile = user._id.toString() === req.user.userId;
+
     const posts = await Post.find({
       author: user._id,
       isActive: true,
-      isAnonymous: false 
+      isAnonymous: false,
+      isScheduled: { $ne: true },
+      ...(!isOwnProfile && { isHidden: { $ne: true } })
     })
-    .sort({ isPinned: -1, createdAt: -1 })
+    .sort({ isPinned: -1, pinnedAt: -1, createdAt: -1 })
     .limit(parseInt(limit))
     .skip((parseInt(page) - 1) * parseInt(limit))
     // ✅ FIX: Added 'profile'
-    .populate('author', 'username name avatar profile isVerified');
+    .populate('author', 'username name avatar profile isVerified')
+    .populate(originalPostPopulate);
+
+    const data = posts.map(maskAnonymousPost);
+    await pollService.attachVotes(data, req.user.userId);
 
     res.json({
       success: true,
-      data: posts,
+      data,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -133,17 +173,22 @@ exports.getMyPosts = async (req, res) => {
     const posts = await Post.find({
       author: req.user.userId,
       isActive: true,
-      isAnonymous: false
+      isAnonymous: false,
+      isScheduled: { $ne: true }
     })
-    .sort({ isPinned: -1, createdAt: -1 })
+    .sort({ isPinned: -1, pinnedAt: -1, createdAt: -1 })
     .limit(parseInt(limit))
     .skip((parseInt(page) - 1) * parseInt(limit))
     // ✅ FIX: Added 'profile'
-    .populate('author', 'username name avatar profile isVerified');
+    .populate('author', 'username name avatar profile isVerified')
+    .populate(originalPostPopulate);
+
+    const data = posts.map(maskAnonymousPost);
+    await pollService.attachVotes(data, req.user.userId);
 
     res.json({
       success: true,
-      data: posts,
+      data,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -163,7 +208,7 @@ exports.toggleLike = async (req, res) => {
     const userId = req.user.userId;
 
     const post = await Post.findById(postId);
-    if (!post) {
+    if (!post || post.isScheduled) {
       return res.status(404).json({ success: false, message: 'Post not found' });
     }
 
@@ -199,7 +244,7 @@ exports.addComment = async (req, res) => {
     const { content, parentCommentId, gif } = req.body;
 
     const post = await Post.findById(postId);
-    if (!post) {
+    if (!post || post.isScheduled) {
       return res.status(404).json({ success: false, message: 'Post not found' });
     }
 
@@ -224,6 +269,17 @@ exports.addComment = async (req, res) => {
 
     await comment.save();
 
+    notificationService.notifyMentions({
+      actorId: req.user.userId,
+      recipientIds: comment.mentions,
+      entityType: 'Comment',
+      entityId: comment._id,
+      context: { post: post._id },
+      text: comment.content,
+      visibility: post.visibility,
+      ownerId: post.author
+    });
+
     post.stats.comments += 1;
     await post.save();
 
@@ -332,12 +388,27 @@ exports.deletePost = async (req, res) => {
       });
     }
 
+    const wasScheduled = post.isScheduled;
+
     post.isActive = false;
+    post.isPinned = false;
+    post.pinnedAt = null;
+    post.isScheduled = false;
     await post.save();
 
-    await User.findByIdAndUpdate(req.user.userId, {
-      $inc: { 'stats.posts': -1 }
-    });
+    if (post.originalPost) {
+      await Post.updateOne(
+        { _id: post.originalPost, 'stats.shares': { $gt: 0 } },
+        { $inc: { 'stats.shares': -1 } }
+      );
+    }
+
+    // Plain reposts and unpublished posts don't count towards the user's posts
+    if (!post.isRepost && !wasScheduled) {
+      await User.findByIdAndUpdate(req.user.userId, {
+        $inc: { 'stats.posts': -1 }
+      });
+    }
 
     res.json({
       success: true,
@@ -359,7 +430,7 @@ exports.updatePost = async (req, res) => {
     const { text, visibility, allowComments } = req.body;
 
     const post = await Post.findById(postId);
-    if (!post) {
+    if (!post || !post.isActive) {
       return res.status(404).json({ success: false, message: 'Post not found' });
     }
 
@@ -367,14 +438,71 @@ exports.updatePost = async (req, res) => {
       return res.status(403).json({ success: false, message: 'Unauthorized' });
     }
 
-    if (text !== undefined) post.content.text = text;
+    if (post.isRepost) {
+      return res.status(400).json({ success: false, message: 'Reposts cannot be edited' });
+    }
+
+    const textChanged = text !== undefined && text !== (post.content.text || '');
+    let revision = null;
+
+    // Nobody has seen a scheduled post yet, so there is no history to keep
+    if (textChanged && post.isScheduled) {
+      post.content.text = text;
+    } else if (textChanged) {
+      // Settings can change any time; the text only shortly after posting
+      const editWindowMinutes = config.get('posts.editWindowMinutes');
+      if (Date.now() - post.createdAt.getTime() > editWindowMinutes * 60 * 1000) {
+        return res.status(403).json({
+          success: false,
+          message: `Posts can only be edited within ${editWindowMinutes} minutes of posting`
+        });
+      }
+
+      // The version being replaced; written once the edit is known to be valid
+      revision = {
+        post: post._id,
+        version: post.editCount + 1,
+        text: post.content.text || '',
+        hashtags: post.content.hashtags,
+        mentions: post.content.mentions,
+        publishedAt: post.editedAt || post.createdAt
+      };
+
+      post.content.text = text;
+      post.editCount += 1;
+      post.isEdited = true;
+      post.editedAt = new Date();
+    }
+
+    const visibilityChanged = Boolean(visibility) && visibility !== post.visibility;
     if (visibility) post.visibility = visibility;
     if (allowComments !== undefined) post.allowComments = allowComments;
-    
-    post.isEdited = true;
-    post.editedAt = new Date();
 
-    await post.save();
+    await post.validate();
+
+    let savedRevision = null;
+    if (revision) {
+      try {
+        savedRevision = await PostRevision.create(revision);
+      } catch (error) {
+        // Another edit saved the same version first
+        if (error.code === 11000) {
+          return res.status(409).json({ success: false, message: 'Post was edited elsewhere. Reload and try again' });
+        }
+        throw error;
+      }
+    }
+
+    try {
+      await post.save();
+    } catch (error) {
+      // Don't leave history behind for an edit that never happened
+      if (savedRevision) await PostRevision.deleteOne({ _id: savedRevision._id });
+      throw error;
+    }
+
+    // Only users newly mentioned (or newly able to see the post) get notified
+    if ((textChanged || visibilityChanged) && !post.isScheduled) postService.notifyMentions(post);
 
     const maskedPost = maskAnonymousPost(post);
 
@@ -383,7 +511,538 @@ exports.updatePost = async (req, res) => {
       data: maskedPost
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     console.error('Update post error:', error.message);
     res.status(500).json({ success: false, message: error.message });
   }
-};
\ No newline at end of file
+};
+// Edit history of a post, newest first
+exports.getRevisions = async (req, res) => {
+  try {
+    const { postId } = req.params;
+
+    const post = await Post.findById(postId).select('author content isActive isHidden isScheduled editCount editedAt createdAt');
+
+    if (!post || !post.isActive) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    if ((post.isHidden || post.isScheduled) && post.author.toString() !== req.user.userId) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    const revisions = await PostRevision.find({ post: post._id })
+      .sort({ version: -1 })
+      .populate('mentions', 'username')
+      .lean();
+
+    await post.populate('content.mentions', 'username');
+
+    res.json({
+      success: true,
+      data: {
+        postId: post._id,
+        editCount: post.editCount,
+        revisions: [
+          {
+            version: post.editCount + 1,
+            text: post.content.text || '',
+            hashtags: post.content.hashtags,
+            mentions: post.content.mentions,
+            publishedAt: post.editedAt || post.createdAt,
+            replacedAt: null,
+            isCurrent: true
+          },
+          ...revisions.map(revision => ({
+            version: revision.version,
+            text: revision.text,
+            hashtags: revision.hashtags,
+            mentions: revision.mentions,
+            publishedAt: revision.publishedAt,
+            replacedAt: revision.createdAt,
+            isCurrent: false
+          }))
+        ]
+      }
+    });
+  } catch (error) {
+    console.error('Get post revisions error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Repost, or quote with text
+exports.repost = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { text, visibility } = req.body;
+    const userId = req.user.userId;
+    const quoteText = typeof text === 'string' ? text.trim() : '';
+
+    if (visibility && !['public', 'followers'].includes(visibility)) {
+      return res.status(400).json({ success: false, message: 'Visibility must be public or followers' });
+    }
+
+    let original = await Post.findById(postId);
+
+    // Reposting a plain repost reposts the post it points to
+    if (original && original.isRepost && original.originalPost) {
+      original = await Post.findById(original.originalPost);
+    }
+
+    if (!original || !original.isActive || original.isHidden || original.isScheduled) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    if (original.visibility !== 'public') {
+      return res.status(403).json({ success: false, message: 'Only public posts can be reposted' });
+    }
+
+    if (original.isAnonymous) {
+      return res.status(403).json({ success: false, message: 'Anonymous posts cannot be reposted' });
+    }
+
+    const post = new Post({
+      author: userId,
+      content: { text: quoteText || undefined },
+      originalPost: original._id,
+      isRepost: !quoteText,
+      visibility: visibility || 'public'
+    });
+
+    try {
+      await post.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ success: false, message: 'You already reposted this post' });
+      }
+      throw error;
+    }
+
+    if (quoteText) postService.notifyMentions(post);
+
+    await Post.updateOne({ _id: original._id }, { $inc: { 'stats.shares': 1 } });
+
+    // Quote posts are the user's own content; plain reposts are not counted
+    if (quoteText) {
+      await User.findByIdAndUpdate(userId, { $inc: { 'stats.posts': 1 } });
+    }
+
+    await post.populate('author', 'username name avatar profile isVerified');
+    await post.populate(originalPostPopulate);
+
+    res.status(201).json({
+      success: true,
+      data: maskAnonymousPost(post)
+    });
+  } catch (error) {
+    console.error('Repost error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Undo a plain repost
+exports.undoRepost = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const userId = req.user.userId;
+
+    // Accept either the original post's ID or the repost's own ID
+    const target = await Post.findById(postId).select('isRepost originalPost author');
+    if (!target) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    const originalId = target.isRepost && target.originalPost ? target.originalPost : target._id;
+
+    const repost = await Post.findOneAndUpdate(
+      { author: userId, originalPost: originalId, isRepost: true, isActive: true },
+      { $set: { isActive: false } },
+      { new: true }
+    );
+
+    if (!repost) {
+      return res.status(404).json({ success: false, message: 'You have not reposted this post' });
+    }
+
+    const original = await Post.findOneAndUpdate(
+      { _id: originalId, 'stats.shares': { $gt: 0 } },
+      { $inc: { 'stats.shares': -1 } },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        isReposted: false,
+        shareCount: original ? original.stats.shares : 0
+      }
+    });
+  } catch (error) {
+    console.error('Undo repost error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Report a post (once per user); hides it automatically past the threshold
+exports.reportPost = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { reason, details } = req.body;
+    const userId = req.user.userId;
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be one of: ${REPORT_REASONS.join(', ')}`
+      });
+    }
+
+    const post = await Post.findById(postId).select('author isActive isScheduled');
+    if (!post || !post.isActive || post.isScheduled) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    if (post.author.toString() === userId) {
+      return res.status(400).json({ success: false, message: 'You cannot report your own post' });
+    }
+
+    let report;
+    try {
+      report = await Report.create({
+        post: post._id,
+        postAuthor: post.author,
+        reporter: userId,
+        reason,
+        details: typeof details === 'string' ? details.trim().slice(0, 500) : ''
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ success: false, message: 'You already reported this post' });
+      }
+      throw error;
+    }
+
+    const updated = await Post.findByIdAndUpdate(
+      post._id,
+      { $inc: { reportCount: 1 }, $set: { isReported: true } },
+      { new: true }
+    );
+
+    const threshold = config.get('posts.reportAutoHideThreshold');
+    if (updated.reportCount >= threshold && !updated.isHidden) {
+      await Post.updateOne({ _id: post._id }, { $set: { isHidden: true, hiddenAt: new Date() } });
+      console.log(`🙈 Post ${post._id} hidden after ${updated.reportCount} reports`);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: report._id,
+        post: report.post,
+        reason: report.reason,
+        status: report.status,
+        createdAt: report.createdAt
+      },
+      message: 'Thanks for reporting. Our moderators will review this post'
+    });
+  } catch (error) {
+    console.error('Report post error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Reports I've made, with the moderators' decisions
+exports.getMyReports = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const reports = await Report.find({ reporter: req.user.userId })
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .populate('post', 'content.text isActive')
+      .lean();
+
+    res.json({
+      success: true,
+      data: reports.map(report => ({
+        id: report._id,
+        post: report.post
+          ? { _id: report.post._id, text: report.post.content?.text || '', isActive: report.post.isActive }
+          : null,
+        reason: report.reason,
+        details: report.details,
+        status: report.status,
+        // The moderator's identity and notes stay internal
+        decision: report.decision?.action
+          ? { action: report.decision.action, decidedAt: report.decision.decidedAt }
+          : null,
+        createdAt: report.createdAt
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        hasMore: reports.length === parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get my reports error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Pin a post to the top of my profile
+exports.pinPost = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const userId = req.user.userId;
+
+    const post = await Post.findOne({ _id: postId, isActive: true });
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    if (post.author.toString() !== userId) {
+      return res.status(403).json({ success: false, message: 'You can only pin your own posts' });
+    }
+
+    // Anonymous posts never appear on the profile
+    if (post.isAnonymous) {
+      return res.status(400).json({ success: false, message: 'Anonymous posts cannot be pinned' });
+    }
+
+    if (post.isScheduled) {
+      return res.status(400).json({ success: false, message: 'Scheduled posts cannot be pinned until they are published' });
+    }
+
+    if (!post.isPinned) {
+      const pinnedCount = await Post.countDocuments({ author: userId, isPinned: true, isActive: true });
+      if (pinnedCount >= MAX_PINNED_POSTS) {
+        return res.status(400).json({
+          success: false,
+          message: `You can pin up to ${MAX_PINNED_POSTS} posts. Unpin one first`
+        });
+      }
+
+      await Post.updateOne({ _id: post._id }, { $set: { isPinned: true, pinnedAt: new Date() } });
+
+      // Two pins racing past the count check - keep the earlier one
+      const pinned = await Post.find({ author: userId, isPinned: true, isActive: true })
+        .sort({ pinnedAt: 1 })
+        .select('_id')
+        .lean();
+      if (pinned.length > MAX_PINNED_POSTS && pinned.slice(MAX_PINNED_POSTS).some(p => p._id.equals(post._id))) {
+        await Post.updateOne({ _id: post._id }, { $set: { isPinned: false, pinnedAt: null } });
+        return res.status(400).json({
+          success: false,
+          message: `You can pin up to ${MAX_PINNED_POSTS} posts. Unpin one first`
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: { postId: post._id, isPinned: true, pinned: await getPinOrder(userId) },
+      message: 'Post pinned'
+    });
+  } catch (error) {
+    console.error('Pin post error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Unpin a post
+exports.unpinPost = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const userId = req.user.userId;
+
+    const post = await Post.findOneAndUpdate(
+      { _id: postId, author: userId, isPinned: true },
+      { $set: { isPinned: false, pinnedAt: null } }
+    );
+
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'Pinned post not found' });
+    }
+
+    res.json({
+      success: true,
+      data: { postId: post._id, isPinned: false, pinned: await getPinOrder(userId) },
+      message: 'Post unpinned'
+    });
+  } catch (error) {
+    console.error('Unpin post error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// My scheduled posts, next to publish first
+exports.getScheduledPosts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const posts = await Post.find({
+      author: req.user.userId,
+      isActive: true,
+      isScheduled: true
+    })
+    .sort({ publishAt: 1 })
+    .limit(parseInt(limit))
+    .skip((parseInt(page) - 1) * parseInt(limit))
+    .populate('author', 'username name avatar profile isVerified');
+
+    const data = posts.map(maskAnonymousPost);
+    await pollService.attachVotes(data, req.user.userId);
+
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        hasMore: posts.length === parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get scheduled posts error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Move a scheduled post to a new publish time
+exports.reschedulePost = async (req, res) => {
+  try {
+    const { postId } = req.params;
+
+    let publishAt;
+    try {
+      publishAt = postService.parsePublishAt(req.body.publishAt);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const filter = { _id: postId, author: req.user.userId, isActive: true, isScheduled: true };
+    const current = await Post.findOne(filter).select('publishAt content.poll.closesAt').lean();
+
+    if (!current) {
+      return res.status(404).json({ success: false, message: 'Scheduled post not found' });
+    }
+
+    // A poll's closing time was set relative to the old publish time, so it
+    // moves by the same amount
+    const update = { publishAt };
+    if (current.content?.poll?.closesAt) {
+      const delta = publishAt.getTime() - current.publishAt.getTime();
+      update['content.poll.closesAt'] = new Date(current.content.poll.closesAt.getTime() + delta);
+    }
+
+    // Only while it is still waiting and unchanged - the worker may have just
+    // published it
+    const post = await Post.findOneAndUpdate(
+      { ...filter, publishAt: current.publishAt },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'Scheduled post not found' });
+    }
+
+    res.json({
+      success: true,
+      data: { postId: post._id, publishAt: post.publishAt, pollClosesAt: post.content.poll?.closesAt || null },
+      message: 'Post rescheduled'
+    });
+  } catch (error) {
+    console.error('Reschedule post error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Cancel a scheduled post; it is discarded without ever being published
+exports.cancelScheduledPost = async (req, res) => {
+  try {
+    const { postId } = req.params;
+
+    const post = await Post.findOneAndUpdate(
+      { _id: postId, author: req.user.userId, isActive: true, isScheduled: true },
+      { $set: { isActive: false, isScheduled: false } }
+    );
+
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'Scheduled post not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scheduled post cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel scheduled post error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Vote on a post's poll: { optionIds: [...] } (or { optionId })
+exports.votePoll = async (req, res) => {
+  try {
+    const { optionIds, optionId } = req.body;
+
+    const poll = await pollService.vote(req.user.userId, req.params.postId, optionIds || optionId);
+
+    res.json({ success: true, data: poll });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Poll vote error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Remove my vote (allowed until the poll closes)
+exports.unvotePoll = async (req, res) => {
+  try {
+    const poll = await pollService.unvote(req.user.userId, req.params.postId);
+
+    res.json({ success: true, data: poll });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Poll unvote error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Voters for one option of a non-anonymous poll
+exports.getPollVoters = async (req, res) => {
+  try {
+    const { optionId, page = 1, limit = 20 } = req.query;
+
+    const voters = await pollService.getVoters(req.params.postId, optionId, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: voters,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        hasMore: voters.length === parseInt(limit)
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Get poll voters error:', error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -3,6 +3,7 @@ const ReelComment = require('../models/ReelComment');
 const cloudinary = require('cloudinary').v2;
 const { Readable } = require('stream');
 const config = require('../config'); 
+const notificationService = require('../services/notificationService');
 
 cloudinary.config({
   cloud_name: config.get('media.cloudinary.cloudName'),
@@ -49,6 +50,15 @@ exports.createReel = async (req, res) => {
             publicId: result.public_id,
             caption: req.body.caption || ''
           });
+
+          notificationService.notifyMentions({
+            actorId: userId,
+            recipientIds: newReel.mentions,
+            entityType: 'Reel',
+            entityId: newReel._id,
+            context: { reel: newReel._id },
+            text: newReel.caption
+          });
           
           console.log('--- ✅ END: Reel Created ---\n');
           res.status(201).json({ success: true, data: newReel });
@@ -164,6 +174,15 @@ exports.addComment = async (req, res) => {
       parentComment: parentCommentId || null
     });
 
+    notificationService.notifyMentions({
+      actorId: userId,
+      recipientIds: newComment.mentions,
+      entityType: 'ReelComment',
+      entityId: newComment._id,
+      context: { reel: reel._id },
+      text: newComment.content
+    });
+
     // ✅ FIX: Populate 'authMethods' and 'profile' here too so the new comment shows the pic instantly
     await newComment.populate('author', 'username profile authMethods avatar isVerified');  
     
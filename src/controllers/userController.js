@@ -1,5 +1,8 @@
 const User = require('../models/User');
 const Post = require('../models/Post'); // Ensure you have this model
+const authService = require('../services/authService');
+const dataExportService = require('../services/dataExportService');
+const { processPosts } = require('./feedController');
 const cloudinary = require('cloudinary').v2;
 const config = require('../config');
 
@@ -10,6 +13,45 @@ cloudinary.config({
   api_secret: config.get('media.cloudinary.apiSecret')
 });
 
+// Normalize a new email (lowercase) or Indian phone number (E.164)
+const normalizeContact = (method, value) => {
+  const input = String(value || '').trim();
+
+  if (method === 'email') {
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input)) {
+      throw new Error('Please enter a valid email address');
+    }
+    return input.toLowerCase();
+  }
+
+  const digits = input.replace(/\D/g, '');
+  const local = digits.length === 12 && digits.startsWith('91') ? digits.substring(2) : digits;
+  if (!/^[6-9]\d{9}$/.test(local)) {
+    throw new Error('Please enter a valid Indian mobile number (10 digits starting with 6-9)');
+  }
+  return `+91${local}`;
+};
+
+// Posts that count towards a profile: same rules as the stats.posts counter
+// (no plain reposts, deleted/taken-down or not-yet-published posts)
+const countUserPosts = (userId) => Post.countDocuments({
+  author: userId,
+  isActive: true,
+  isRepost: { $ne: true },
+  isScheduled: { $ne: true }
+});
+
+// Map contact-change errors to HTTP statuses
+const contactChangeStatus = (message) => {
+  if (message.includes('already in use')) return 409;
+  if (message.includes('Too many')) return 429;
+  if (message.includes('Failed to send')) return 400;
+  if (message.includes('OTP')) return 401;
+  if (message.includes('temporarily unavailable')) return 503;
+  if (message.includes('User not found')) return 404;
+  return 400;
+};
+
 // ==========================================
 // SEARCH USERS
 // ==========================================
@@ -29,7 +71,9 @@ exports.searchUsers = async (req, res) => {
         { username: { $regex: searchQuery, $options: 'i' } },
         { 'profile.displayName': { $regex: searchQuery, $options: 'i' } }
       ],
-      _id: { $ne: req.user.userId } // Exclude current user
+      _id: { $ne: req.user.userId }, // Exclude current user
+      isActive: true,
+      'deletion.scheduledFor': null // Hide accounts pending deletion
     })
     .select('username profile.displayName profile.avatar avatar isVerified')
     .limit(20)
@@ -57,7 +101,7 @@ exports.getCurrentUser = async (req, res) => {
     // 2. SELF-HEALING: Check if DB stats match actual data
     const realFollowerCount = user.followers ? user.followers.length : 0;
     const realFollowingCount = user.following ? user.following.length : 0;
-    const realPostCount = await Post.countDocuments({ author: user._id });
+    const realPostCount = await countUserPosts(user._id);
 
     let needsSave = false;
 
@@ -101,8 +145,8 @@ exports.getUserByUsername = async (req, res) => {
     const { username } = req.params;
     const currentUserId = req.user.userId;
 
-    const user = await User.findOne({ username })
-      .select('-passwordHash -authMethods -email -phone')
+    const user = await User.findOne({ username, isActive: true, 'deletion.scheduledFor': null })
+      .select('-passwordHash -authMethods -email -phone -deletion')
       .lean();
 
     if (!user) {
@@ -115,7 +159,7 @@ exports.getUserByUsername = async (req, res) => {
 
     // Calculate dynamic stats for display (Double safety)
     const stats = {
-      posts: await Post.countDocuments({ author: user._id }),
+      posts: await countUserPosts(user._id),
       followers: user.followers ? user.followers.length : 0,
       following: user.following ? user.following.length : 0
     };
@@ -142,20 +186,34 @@ exports.getUserPosts = async (req, res) => {
   res.set('Cache-Control', 'no-store');
   try {
     const { username } = req.params;
-    const user = await User.findOne({ username });
+    const user = await User.findOne({ username, isActive: true, 'deletion.scheduledFor': null });
 
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    const posts = await Post.find({ author: user._id })
+    // Deleted and taken-down posts never show; reported/hidden ones only to their author
+    const isOwnProfile = user._id.toString() === req.user.userId;
+    const posts = await Post.find({
+      author: user._id,
+      isActive: true,
+      isScheduled: { $ne: true },
+      ...(!isOwnProfile && { isHidden: { $ne: true } })
+    })
       // ✅ FIXED: Added 'avatar' specifically to the populate string
       .populate('author', 'username name avatar profile') 
-      .sort({ createdAt: -1 }); // Newest first
+      .populate({
+        path: 'originalPost',
+        populate: { path: 'author', select: 'username name avatar profile isVerified' }
+      })
+      .sort({ isPinned: -1, pinnedAt: -1, createdAt: -1 }); // Pinned first, then newest
+
+    // Same masking as the feeds (anonymous authors, unavailable originals)
+    const data = await processPosts(posts, req.user.userId);
 
     res.json({
       success: true,
-      data: posts
+      data
     });
   } catch (error) {
     console.error(error);
@@ -233,7 +291,9 @@ exports.updateProfile = async (req, res) => {
       'profile.location', 
       'profile.website', 
       'profile.avatar',
-      'avatar' // Added root level field to allowed updates
+      'avatar', // Added root level field to allowed updates
+      'privacy.allowTagging',
+      'settings.notifyOnMention'
     ];
 
     Object.keys(req.body).forEach(key => {
@@ -283,6 +343,7 @@ exports.uploadAvatar = async (req, res) => {
           req.user.userId,
           { 
             'profile.avatar': result.secure_url, // Update profile field
+            'profile.avatarPublicId': result.public_id, // Needed to delete it later
             avatar: result.secure_url            // Update root field (legacy support)
           },
           { new: true }
@@ -339,4 +400,179 @@ exports.getFollowing = async (req, res) => {
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server error' });
   }
-};
\ No newline at end of file
+};
+
+// ==========================================
+// 9. DELETE ACCOUNT (30-DAY GRACE PERIOD)
+// ==========================================
+exports.deleteAccount = async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    const result = await authService.requestAccountDeletion(req.user.userId, reason);
+
+    res.json({
+      success: true,
+      message: result.message,
+      data: {
+        scheduledFor: result.scheduledFor,
+        graceDays: result.graceDays
+      }
+    });
+  } catch (error) {
+    console.error('❌ Delete account error:', error);
+
+    if (error.message.includes('already scheduled')) {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+
+    if (error.message.includes('User not found')) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// ==========================================
+// 10. DATA EXPORT (ASYNC ZIP ARCHIVE)
+// ==========================================
+exports.requestDataExport = async (req, res) => {
+  try {
+    const dataExport = await dataExportService.requestExport(req.user.userId);
+
+    res.status(202).json({
+      success: true,
+      message: 'Your data export has been queued. Check its status to get the download link',
+      data: dataExport
+    });
+  } catch (error) {
+    console.error('❌ Request data export error:', error);
+
+    if (error.message.includes('already')) {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+exports.getDataExports = async (req, res) => {
+  try {
+    const exports = await dataExportService.listExports(req.user.userId);
+    res.json({ success: true, data: exports });
+  } catch (error) {
+    console.error('❌ Get data exports error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+exports.getDataExport = async (req, res) => {
+  try {
+    const dataExport = await dataExportService.getExport(req.user.userId, req.params.exportId);
+    res.json({ success: true, data: dataExport });
+  } catch (error) {
+    if (error.message.includes('not found') || error.name === 'CastError') {
+      return res.status(404).json({ success: false, message: 'Export not found' });
+    }
+
+    console.error('❌ Get data export error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Public: authorised by the short-lived token in the link
+exports.downloadDataExport = async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({ success: false, message: 'Download token is required' });
+    }
+
+    const { filePath, fileName } = await dataExportService.resolveDownload(String(token));
+
+    res.set('Cache-Control', 'no-store');
+    res.download(filePath, fileName);
+  } catch (error) {
+    if (error.message.includes('token')) {
+      return res.status(401).json({ success: false, message: 'Download link is invalid or has expired' });
+    }
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ success: false, message: 'Export not found or no longer available' });
+    }
+
+    if (error.code === 'EXPORT_FILE_MISSING') {
+      return res.status(503).json({
+        success: false,
+        message: 'Your export is ready but its file is temporarily unavailable. Please try again later'
+      });
+    }
+
+    console.error('❌ Download data export error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// ==========================================
+// 11. CHANGE EMAIL / PHONE (OTP VERIFIED)
+// ==========================================
+exports.requestContactChange = async (req, res) => {
+  try {
+    const { method, identifier } = req.body;
+
+    if (!['email', 'phone'].includes(method) || !identifier) {
+      return res.status(400).json({
+        success: false,
+        message: 'method ("email" or "phone") and identifier are required'
+      });
+    }
+
+    const result = await authService.requestContactChange(
+      req.user.userId,
+      method,
+      normalizeContact(method, identifier),
+      req.ip || '127.0.0.1'
+    );
+
+    res.json({
+      success: true,
+      message: result.message,
+      data: { method: result.method, identifier: result.identifier, nextStep: result.nextStep }
+    });
+  } catch (error) {
+    console.error('❌ Request contact change error:', error.message);
+    res.status(contactChangeStatus(error.message)).json({ success: false, message: error.message });
+  }
+};
+
+exports.confirmContactChange = async (req, res) => {
+  try {
+    const { method, otp } = req.body;
+
+    if (!['email', 'phone'].includes(method) || !otp) {
+      return res.status(400).json({
+        success: false,
+        message: 'method ("email" or "phone") and otp are required'
+      });
+    }
+
+    const result = await authService.confirmContactChange(
+      req.user.userId,
+      req.user.deviceId,
+      method,
+      String(otp),
+      req.ip || '127.0.0.1'
+    );
+
+    res.json({
+      success: true,
+      message: result.message,
+      data: { [method]: result[method], revokedSessions: result.revokedSessions }
+    });
+  } catch (error) {
+    console.error('❌ Confirm contact change error:', error.message);
+    res.status(contactChangeStatus(error.message)).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,246 @@
+const fsp = require('fs/promises');
+const cloudinary = require('cloudinary').v2;
+const config = require('../config');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Reel = require('../models/Reel');
+const ReelComment = require('../models/ReelComment');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const Session = require('../models/Session');
+const OTP = require('../models/OTP');
+const SecurityEvent = require('../models/SecurityEvent');
+const ApiToken = require('../models/ApiToken');
+const Report = require('../models/Report');
+const PostRevision = require('../models/PostRevision');
+const Notification = require('../models/Notification');
+const PostDraft = require('../models/PostDraft');
+const PollVote = require('../models/PollVote');
+const DataExport = require('../models/DataExport');
+
+// Configure Cloudinary
+cloudinary.config({
+  cloud_name: config.get('media.cloudinary.cloudName'),
+  api_key: config.get('media.cloudinary.apiKey'),
+  api_secret: config.get('media.cloudinary.apiSecret')
+});
+
+const BATCH_SIZE = 20;
+
+// Delete a Cloudinary asset; a missing asset is not an error
+const destroyAsset = async (publicId, resourceType = 'image') => {
+  if (!publicId) return;
+
+  try {
+    await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, invalidate: true });
+  } catch (error) {
+    console.error(`❌ Cloudinary delete failed for ${publicId}:`, error.message);
+  }
+};
+
+// Posts, their media and the comments on them
+const purgePosts = async (userId) => {
+  const posts = await Post.find({ author: userId }).select('content.media').lean();
+
+  for (const post of posts) {
+    for (const media of post.content?.media || []) {
+      await destroyAsset(media.publicId, media.type === 'video' ? 'video' : 'image');
+    }
+  }
+
+  const postIds = posts.map(post => post._id);
+  await Comment.deleteMany({ post: { $in: postIds } });
+  await Report.deleteMany({ post: { $in: postIds } });
+  await PostRevision.deleteMany({ post: { $in: postIds } });
+  await PollVote.deleteMany({ post: { $in: postIds } });
+  await Post.deleteMany({ _id: { $in: postIds } });
+
+  return postIds.length;
+};
+
+// The user's comments on other people's posts, keeping comment counts in step
+const purgeComments = async (userId) => {
+  const comments = await Comment.find({ author: userId }).select('post parentComment').lean();
+
+  const perPost = {};
+  comments.forEach(comment => {
+    perPost[comment.post] = (perPost[comment.post] || 0) + 1;
+  });
+
+  const commentIds = comments.map(comment => comment._id);
+  await Comment.updateMany({ replies: { $in: commentIds } }, { $pull: { replies: { $in: commentIds } } });
+  await Comment.deleteMany({ _id: { $in: commentIds } });
+
+  await Promise.all(Object.entries(perPost).map(([postId, count]) =>
+    Post.updateOne({ _id: postId }, { $inc: { 'stats.comments': -count } })
+  ));
+
+  return commentIds.length;
+};
+
+// Reels (video assets included) and the user's reel comments
+const purgeReels = async (userId) => {
+  const reels = await Reel.find({ user: userId }).select('publicId').lean();
+
+  for (const reel of reels) {
+    await destroyAsset(reel.publicId, 'video');
+  }
+
+  const reelIds = reels.map(reel => reel._id);
+  await ReelComment.deleteMany({ reel: { $in: reelIds } });
+  await Reel.deleteMany({ _id: { $in: reelIds } });
+
+  const reelComments = await ReelComment.find({ author: userId }).select('reel').lean();
+  const perReel = {};
+  reelComments.forEach(comment => {
+    perReel[comment.reel] = (perReel[comment.reel] || 0) + 1;
+  });
+
+  await ReelComment.deleteMany({ author: userId });
+  await Promise.all(Object.entries(perReel).map(([reelId, count]) =>
+    Reel.updateOne({ _id: reelId }, { $inc: { commentsCount: -count } })
+  ));
+
+  return reelIds.length;
+};
+
+// Messages stay in the other participants' history, stripped of content
+const anonymizeMessages = async (userId) => {
+  const result = await Message.updateMany(
+    { sender: userId },
+    { $set: { content: '', isDeleted: true }, $unset: { media: 1 } }
+  );
+
+  await Conversation.updateMany(
+    { lastMessageSender: userId },
+    { $set: { lastMessageContent: 'Message deleted' } }
+  );
+
+  await Conversation.updateMany(
+    { type: 'group', participants: userId },
+    { $pull: { participants: userId, admins: userId } }
+  );
+
+  return result.modifiedCount;
+};
+
+// Follower edges, likes and poll votes on other people's content
+const removeSocialEdges = async (userId) => {
+  await User.updateMany(
+    { followers: userId },
+    { $pull: { followers: userId }, $inc: { 'stats.followers': -1 } }
+  );
+  await User.updateMany(
+    { following: userId },
+    { $pull: { following: userId }, $inc: { 'stats.following': -1 } }
+  );
+  await User.updateMany({ blockedUsers: userId }, { $pull: { blockedUsers: userId } });
+
+  await Post.updateMany(
+    { likes: userId },
+    { $pull: { likes: userId }, $inc: { 'stats.likes': -1 } }
+  );
+  await Comment.updateMany({ likes: userId }, { $pull: { likes: userId } });
+  await Reel.updateMany({ likes: userId }, { $pull: { likes: userId } });
+  await ReelComment.updateMany({ likes: userId }, { $pull: { likes: userId } });
+
+  // Poll votes come off the tallies
+  const votes = await PollVote.find({ user: userId }).lean();
+  for (const vote of votes) {
+    await Post.updateOne(
+      { _id: vote.post },
+      { $inc: { 'content.poll.options.$[option].votes': -1, 'content.poll.totalVoters': -1 } },
+      { arrayFilters: [{ 'option._id': { $in: vote.optionIds } }] }
+    );
+    await PollVote.deleteOne({ _id: vote._id });
+  }
+};
+
+// Data export archives on disk and their records
+const purgeDataExports = async (userId) => {
+  const dataExports = await DataExport.find({ userId }).select('+filePath').lean();
+
+  for (const dataExport of dataExports) {
+    if (dataExport.filePath) await fsp.rm(dataExport.filePath, { force: true });
+  }
+
+  await DataExport.deleteMany({ userId });
+};
+
+// Permanently delete one account and everything it owns. Every step is
+// idempotent so a purge interrupted halfway is finished by the next run.
+const purgeUser = async (user) => {
+  const userId = user._id;
+  console.log(`🗑️ Purging account ${userId}`);
+
+  const posts = await purgePosts(userId);
+  const comments = await purgeComments(userId);
+  const reels = await purgeReels(userId);
+  const messages = await anonymizeMessages(userId);
+  await removeSocialEdges(userId);
+
+  await Session.deleteMany({ userId });
+  await ApiToken.deleteMany({ userId });
+  await Report.deleteMany({ reporter: userId });
+  await PostDraft.deleteMany({ author: userId });
+  await purgeDataExports(userId);
+  await Notification.deleteMany({ $or: [{ recipient: userId }, { actor: userId }] });
+  await OTP.deleteMany({
+    $or: [
+      { userId },
+      { identifier: { $in: [user.email, user.phone].filter(Boolean) } }
+    ]
+  });
+  await SecurityEvent.deleteMany({ userId });
+
+  await destroyAsset(user.profile?.avatarPublicId, 'image');
+  await User.deleteOne({ _id: userId });
+
+  console.log(`✅ Account ${userId} purged (${posts} posts, ${comments} comments, ${reels} reels, ${messages} messages anonymized)`);
+};
+
+// Purge every account whose grace period has ended
+const run = async () => {
+  let purged = 0;
+
+  while (true) {
+    const due = await User.find({ 'deletion.scheduledFor': { $lte: new Date() } })
+      .select('email phone profile.avatarPublicId')
+      .limit(BATCH_SIZE)
+      .lean();
+
+    if (due.length === 0) break;
+
+    for (const user of due) {
+      // Lock the account first so a login during the purge can't revive it.
+      // Skip it if the deletion was cancelled since it was picked up.
+      const locked = await User.updateOne(
+        { _id: user._id, 'deletion.scheduledFor': { $lte: new Date() } },
+        { $set: { isActive: false, isOnline: false } }
+      );
+      if (locked.matchedCount === 0) continue;
+
+      try {
+        await purgeUser(user);
+        purged++;
+      } catch (error) {
+        console.error(`❌ Account purge failed for ${user._id}:`, error.message);
+        return purged; // retry on the next run
+      }
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`🧹 Account purge finished: ${purged} account(s) deleted`);
+  }
+
+  return purged;
+};
+
+module.exports = {
+  name: 'accountPurge',
+  intervalMs: config.get('account.purgeIntervalMs'),
+  run,
+  purgeUser
+};
@@ -0,0 +1,22 @@
+const config = require('../config');
+const dataExportService = require('../services/dataExportService');
+
+// Build queued data exports, then clean up archives past retention
+const run = async () => {
+  let built = 0;
+  while (await dataExportService.processNext()) {
+    built++;
+  }
+
+  const expired = await dataExportService.expireOldExports();
+
+  if (built > 0 || expired > 0) {
+    console.log(`📦 Data exports: ${built} built, ${expired} expired`);
+  }
+};
+
+module.exports = {
+  name: 'dataExport',
+  intervalMs: config.get('account.exportIntervalMs'),
+  run
+};
@@ -0,0 +1,19 @@
+const config = require('../config');
+const postService = require('../services/postService');
+
+// Publish scheduled posts once their publishAt has passed
+const run = async () => {
+  const published = await postService.publishDue();
+
+  if (published > 0) {
+    console.log(`📣 Scheduled posts: ${published} published`);
+  }
+
+  return published;
+};
+
+module.exports = {
+  name: 'scheduledPosts',
+  intervalMs: config.get('posts.publishIntervalMs'),
+  run
+};
@@ -0,0 +1,71 @@
+require('dotenv').config();
+
+const databaseConfig = require('../config/database');
+const cacheService = require('../services/cacheService');
+
+// Background jobs run in their own process: `npm run worker` (`npm run dev:worker`
+// locally). Deploy it next to `npm start`; nothing below runs in the API process.
+const jobs = [
+  require('./accountPurge'),
+  require('./dataExport'),
+  require('./scheduledPosts')
+];
+
+const timers = [];
+const running = new Set();
+
+// Run a job unless its previous run is still going
+const runJob = async (job) => {
+  if (running.has(job.name)) return;
+
+  running.add(job.name);
+  const startedAt = Date.now();
+
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`❌ Job ${job.name} failed:`, error.message);
+  } finally {
+    running.delete(job.name);
+    if (Date.now() - startedAt > 1000) {
+      console.log(`⏱️ Job ${job.name} took ${Date.now() - startedAt}ms`);
+    }
+  }
+};
+
+async function start() {
+  console.log('🛠️ Starting Pulse background worker...');
+
+  await databaseConfig.connect();
+
+  for (const job of jobs) {
+    console.log(`📅 Scheduling ${job.name} every ${Math.round(job.intervalMs / 1000)}s`);
+    runJob(job);
+    timers.push(setInterval(() => runJob(job), job.intervalMs));
+  }
+}
+
+async function shutdown(signal) {
+  console.log(`\n🛑 ${signal} received. Stopping worker...`);
+  timers.forEach(clearInterval);
+
+  // Give in-flight jobs a moment to finish their current step
+  const deadline = Date.now() + 30000;
+  while (running.size > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+
+  await databaseConfig.disconnect();
+  await cacheService.disconnect();
+
+  console.log('👋 Worker stopped');
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start().catch(error => {
+  console.error('❌ Worker failed to start:', error.message);
+  process.exit(1);
+});
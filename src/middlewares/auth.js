@@ -1,6 +1,89 @@
 const jwtService = require('../services/jwtService');
 const User = require('../models/User');
+const authService = require('../services/authService');
 const cacheService = require('../services/cacheService');
+const apiTokenService = require('../services/apiTokenService');
+
+// Personal access tokens (pulse_pat_...) are only accepted on routes that
+// opted in with allowApiToken(scope), and only if the token has that scope
+const authenticateApiToken = async (req, res, next, token) => {
+  if (!req.apiTokenScope) {
+    return res.status(403).json({
+      success: false,
+      error: 'API tokens cannot be used for this endpoint',
+      code: 'API_TOKEN_NOT_ALLOWED'
+    });
+  }
+
+  const result = await apiTokenService.authenticate(token, req.ip);
+  if (!result) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid, expired or revoked API token',
+      code: 'INVALID_API_TOKEN'
+    });
+  }
+
+  const { apiToken, user } = result;
+
+  if (!apiToken.hasScope(req.apiTokenScope)) {
+    return res.status(403).json({
+      success: false,
+      error: `API token is missing the "${req.apiTokenScope}" scope`,
+      code: 'INSUFFICIENT_SCOPE',
+      requiredScope: req.apiTokenScope
+    });
+  }
+
+  req.user = {
+    userId: user._id.toString(),
+    username: user.username,
+    email: user.email,
+    isVerified: user.isVerified,
+    deviceId: null,
+    apiTokenId: apiToken._id.toString(),
+    scopes: apiToken.scopes
+  };
+
+  next();
+};
+
+// Load the caller's role and permissions from the database (roles aren't in
+// the access token, so changes apply immediately). Sends the error response
+// and returns null when the caller may not continue.
+const loadAccess = async (req, res) => {
+  if (!req.user) {
+    res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      code: 'AUTH_REQUIRED'
+    });
+    return null;
+  }
+
+  const user = await User.findById(req.user.userId).select('role permissions isActive');
+  if (!user || !user.isActive) {
+    res.status(401).json({
+      success: false,
+      error: 'User not found or inactive',
+      code: 'USER_NOT_FOUND'
+    });
+    return null;
+  }
+
+  req.user.role = user.role;
+  req.user.permissions = user.getPermissions();
+  return user;
+};
+
+const accessCheckFailed = (res, error) => {
+  console.error('Access control error:', error);
+  res.status(500).json({
+    success: false,
+    error: 'Authorization check failed',
+    code: 'AUTH_CHECK_FAILED'
+  });
+};
 
 class AuthMiddleware {
   // Verify access token middleware
@@ -17,6 +100,10 @@ class AuthMiddleware {
       }
 
       const token = authHeader.split(' ')[1];
+
+      if (apiTokenService.isApiToken(token)) {
+        return await authenticateApiToken(req, res, next, token);
+      }
       
       // Verify token
       const decoded = jwtService.verifyAccessToken(token);
@@ -31,12 +118,22 @@ class AuthMiddleware {
         });
       }
 
+      // Check the token and the session behind it have not been revoked
+      if (await authService.isAccessTokenRevoked(decoded)) {
+        return res.status(401).json({
+          success: false,
+          error: 'Session has been revoked or expired',
+          code: 'SESSION_REVOKED'
+        });
+      }
+
       // Attach user info to request
       req.user = {
         userId: decoded.userId,
         username: decoded.username,
         email: decoded.email,
-        isVerified: decoded.isVerified
+        isVerified: decoded.isVerified,
+        deviceId: decoded.deviceId
       };
 
       next();
@@ -79,15 +176,23 @@ class AuthMiddleware {
       }
 
       const token = authHeader.split(' ')[1];
+
+      if (apiTokenService.isApiToken(token)) {
+        return await authenticateApiToken(req, res, next, token);
+      }
+
       const decoded = jwtService.verifyAccessToken(token);
       
       const user = await User.findById(decoded.userId);
-      if (user && user.isActive) {
+      const isRevoked = await authService.isAccessTokenRevoked(decoded);
+
+      if (user && user.isActive && !isRevoked) {
         req.user = {
           userId: decoded.userId,
           username: decoded.username,
           email: decoded.email,
-          isVerified: decoded.isVerified
+          isVerified: decoded.isVerified,
+          deviceId: decoded.deviceId
         };
       } else {
         req.user = null;
@@ -102,6 +207,15 @@ class AuthMiddleware {
     }
   }
 
+  // Let personal access tokens with the given scope use the route. Must come
+  // before verifyAccessToken/optionalAuth; routes without it refuse API tokens.
+  allowApiToken(scope) {
+    return (req, res, next) => {
+      req.apiTokenScope = scope;
+      next();
+    };
+  }
+
   // Check if user is verified
   requireVerified(req, res, next) {
     if (!req.user) {
@@ -123,19 +237,59 @@ class AuthMiddleware {
     next();
   }
 
+  // Allow only the given roles, e.g. requireRole('moderator', 'admin')
+  requireRole(...roles) {
+    return async (req, res, next) => {
+      try {
+        const user = await loadAccess(req, res);
+        if (!user) return;
+
+        if (!roles.includes(user.role)) {
+          return res.status(403).json({
+            success: false,
+            error: `Requires role: ${roles.join(' or ')}`,
+            code: 'ROLE_REQUIRED'
+          });
+        }
+
+        next();
+
+      } catch (error) {
+        accessCheckFailed(res, error);
+      }
+    };
+  }
+
+  // Allow users holding the permission through their role or a direct grant
+  requirePermission(permission) {
+    return async (req, res, next) => {
+      try {
+        const user = await loadAccess(req, res);
+        if (!user) return;
+
+        if (!user.hasPermission(permission)) {
+          return res.status(403).json({
+            success: false,
+            error: `Missing permission: ${permission}`,
+            code: 'PERMISSION_REQUIRED'
+          });
+        }
+
+        next();
+
+      } catch (error) {
+        accessCheckFailed(res, error);
+      }
+    };
+  }
+
   // Admin only middleware
   async requireAdmin(req, res, next) {
     try {
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          error: 'Authentication required',
-          code: 'AUTH_REQUIRED'
-        });
-      }
+      const user = await loadAccess(req, res);
+      if (!user) return;
 
-      const user = await User.findById(req.user.userId);
-      if (!user || user.role !== 'admin') {
+      if (user.role !== 'admin') {
         return res.status(403).json({
           success: false,
           error: 'Admin access required',
@@ -146,12 +300,7 @@ class AuthMiddleware {
       next();
 
     } catch (error) {
-      console.error('Admin middleware error:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Authorization check failed',
-        code: 'AUTH_CHECK_FAILED'
-      });
+      accessCheckFailed(res, error);
     }
   }
 }
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { API_TOKEN_SCOPES } = require('../utils/constants');
+
+// Personal access token for bots and integrations. Only the SHA-256 of the
+// token is stored; the plaintext is shown once at creation.
+const apiTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+
+  // First characters of the token, so users can tell tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+
+  scopes: {
+    type: [{ type: String, enum: API_TOKEN_SCOPES }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+
+  // null = never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'api_tokens'
+});
+
+apiTokenSchema.index({ userId: 1, revokedAt: 1 });
+
+apiTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+apiTokenSchema.statics.findActiveByToken = function(token) {
+  return this.findOne({
+    tokenHash: this.hashToken(token),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+apiTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
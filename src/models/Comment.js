@@ -72,4 +72,11 @@ commentSchema.index({ post: 1, createdAt: -1 });
 commentSchema.index({ author: 1, createdAt: -1 });
 commentSchema.index({ parentComment: 1 });
 
+// Resolve @mentions whenever the text changes
+commentSchema.pre('save', async function() {
+  if (this.isModified('content')) {
+    this.mentions = await mongoose.model('User').resolveMentions(this.content, this.author);
+  }
+});
+
 module.exports = mongoose.model('Comment', commentSchema);
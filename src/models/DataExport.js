@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const dataExportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+
+  filePath: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  fileSize: {
+    type: Number,
+    default: 0
+  },
+
+  error: {
+    type: String,
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    default: null
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  // The archive is deleted from disk after this
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  downloadCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'data_exports'
+});
+
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, createdAt: 1 });
+dataExportSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }); // Keep records 30 days
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -28,6 +28,11 @@ const messageSchema = new mongoose.Schema({
     height: Number,
     mimeType: String
   },
+  // Only other participants of the conversation can be mentioned
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   // ✅ ADD THIS: Reply feature
   replyTo: {
     type: mongoose.Schema.Types.ObjectId,
@@ -46,4 +51,14 @@ const messageSchema = new mongoose.Schema({
   isDeleted: { type: Boolean, default: false }
 }, { timestamps: true });
 
+// Resolve @mentions in new text messages
+messageSchema.pre('save', async function() {
+  if (!this.isNew || this.type !== 'text' || !this.content) return;
+
+  const conversation = await mongoose.model('Conversation').findById(this.conversation).select('participants').lean();
+  this.mentions = conversation
+    ? await mongoose.model('User').resolveMentions(this.content, this.sender, { among: conversation.participants })
+    : [];
+});
+
 module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // null when the actor is hidden (anonymous posts)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  type: {
+    type: String,
+    enum: ['mention'],
+    required: true
+  },
+
+  // What the notification is about
+  entityType: {
+    type: String,
+    enum: ['Post', 'Comment', 'Reel', 'ReelComment', 'Message'],
+    required: true
+  },
+
+  entity: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'entityType',
+    required: true
+  },
+
+  // Where to open it: the post, reel or conversation the entity belongs to
+  context: {
+    post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post' },
+    reel: { type: mongoose.Schema.Types.ObjectId, ref: 'Reel' },
+    conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation' }
+  },
+
+  preview: {
+    type: String,
+    maxlength: 140,
+    default: ''
+  },
+
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'notifications'
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+// One notification per mention, even if the entity is saved again
+notificationSchema.index({ recipient: 1, type: 1, entity: 1 }, { unique: true });
+
+module.exports = mongoose.model('Notification', notificationSchema);
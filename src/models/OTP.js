@@ -59,6 +59,14 @@ const otpSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+
+  // Optional magic link sent alongside an email code. Only hashes are stored;
+  // the nonce binds the link to the device that requested it.
+  magicLink: {
+    tokenHash: { type: String, default: null },
+    nonceHash: { type: String, default: null },
+    deviceId: { type: String, default: null }
+  },
   
   // FIXED: Only one expiresAt definition
   expiresAt: {
@@ -74,6 +82,7 @@ const otpSchema = new mongoose.Schema({
 // FIXED: Only necessary indexes (no duplicates)
 otpSchema.index({ identifier: 1, purpose: 1, verified: 1 });
 otpSchema.index({ userId: 1 });
+otpSchema.index({ 'magicLink.tokenHash': 1 });
 otpSchema.index({ createdAt: 1 }, { expireAfterSeconds: 1800 }); // 30 minutes max lifetime
 
 // Methods
@@ -106,6 +115,14 @@ otpSchema.statics.findValidOTP = function(identifier, purpose) {
   }).sort({ createdAt: -1 });
 };
 
+otpSchema.statics.findValidMagicLink = function(tokenHash) {
+  return this.findOne({
+    'magicLink.tokenHash': tokenHash,
+    verified: false,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
 otpSchema.statics.cleanupExpired = function() {
   return this.deleteMany({
     expiresAt: { $lt: new Date() }
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One user's vote on a post's poll; several options when the poll is multiple choice
+const pollVoteSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  optionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }]
+}, {
+  timestamps: true,
+  collection: 'poll_votes'
+});
+
+// One vote per user per poll
+pollVoteSchema.index({ post: 1, user: 1 }, { unique: true });
+pollVoteSchema.index({ post: 1, optionIds: 1, createdAt: -1 });
+pollVoteSchema.index({ user: 1 });
+
+module.exports = mongoose.model('PollVote', pollVoteSchema);
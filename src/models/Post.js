@@ -24,6 +24,7 @@ const postSchema = new mongoose.Schema({
         type: String,
         required: true
       },
+      publicId: String, // Cloudinary public_id, used to delete the asset
       thumbnail: String,
       width: Number,
       height: Number,
@@ -38,7 +39,42 @@ const postSchema = new mongoose.Schema({
     mentions: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
-    }]
+    }],
+    // Optional poll; individual votes live in PollVote
+    poll: {
+      type: new mongoose.Schema({
+        options: [new mongoose.Schema({
+          text: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 80
+          },
+          votes: {
+            type: Number,
+            default: 0
+          }
+        })],
+        multipleChoice: {
+          type: Boolean,
+          default: false
+        },
+        // Hides who voted for what; tallies stay public
+        anonymous: {
+          type: Boolean,
+          default: false
+        },
+        closesAt: {
+          type: Date,
+          required: true
+        },
+        totalVoters: {
+          type: Number,
+          default: 0
+        }
+      }, { _id: false }),
+      default: undefined
+    }
   },
 
   location: {
@@ -95,21 +131,61 @@ const postSchema = new mongoose.Schema({
 
   editedAt: Date,
 
+  // Scheduled posts stay out of every feed until the worker publishes them
+  isScheduled: {
+    type: Boolean,
+    default: false
+  },
+
+  publishAt: {
+    type: Date,
+    default: null
+  },
+
+  // Number of text edits; earlier versions live in PostRevision
+  editCount: {
+    type: Number,
+    default: 0
+  },
+
   isPinned: {
     type: Boolean,
     default: false
   },
 
+  pinnedAt: {
+    type: Date,
+    default: null
+  },
+
   isReported: {
     type: Boolean,
     default: false
   },
 
   reportCount: {
-    type: Number,
+    type: Number, // pending reports; reset when a moderator dismisses them
     default: 0
   },
 
+  // Hidden from feeds: automatically past the report threshold, or taken down
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+
+  hiddenAt: {
+    type: Date,
+    default: null
+  },
+
+  takenDownAt: {
+    type: Date,
+    default: null
+  },
+
+  // Set on reposts and quote posts; isRepost is true only for plain reposts
+  // (no text of their own), quote posts are regular posts embedding the original
   originalPost: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Post'
@@ -128,10 +204,18 @@ const postSchema = new mongoose.Schema({
 
 // Indexes
 postSchema.index({ author: 1, createdAt: -1 });
+postSchema.index({ author: 1, isPinned: -1, pinnedAt: -1, createdAt: -1 });
 postSchema.index({ 'content.hashtags': 1 });
 postSchema.index({ 'stats.likes': -1, createdAt: -1 });
 postSchema.index({ location: '2dsphere' });
 postSchema.index({ createdAt: -1 });
+postSchema.index({ publishAt: 1 }, { partialFilterExpression: { isScheduled: true } });
+postSchema.index({ author: 1, publishAt: 1 }, { partialFilterExpression: { isScheduled: true } });
+// One plain repost per user per post
+postSchema.index(
+  { author: 1, originalPost: 1 },
+  { unique: true, partialFilterExpression: { isRepost: true, isActive: true } }
+);
 
 // Methods
 postSchema.methods.isLikedBy = function(userId) {
@@ -143,12 +227,20 @@ postSchema.methods.isLikedBy = function(userId) {
 // =========================================================
 
 postSchema.statics.getHomeFeed = function(userId, followingIds, options = {}) {
-  const { limit = 20, lastPostDate } = options;
+  const { limit = 20, lastPostDate, hashtags = [] } = options;
   
   const query = {
     isActive: true,
-    author: { $in: [...followingIds, userId] },
-    visibility: { $in: ['public', 'followers'] },
+    isHidden: { $ne: true },
+    isScheduled: { $ne: true },
+    $or: [
+      {
+        author: { $in: [...followingIds, userId] },
+        visibility: { $in: ['public', 'followers'] }
+      },
+      // Public posts with a followed hashtag, from anyone
+      ...(hashtags.length ? [{ 'content.hashtags': { $in: hashtags }, visibility: 'public' }] : [])
+    ],
     createdAt: lastPostDate ? { $lt: new Date(lastPostDate) } : { $exists: true }
   };
 
@@ -157,6 +249,10 @@ postSchema.statics.getHomeFeed = function(userId, followingIds, options = {}) {
     .limit(limit)
     // ✅ FIX: Added 'profile'
     .populate('author', 'username name avatar profile isVerified')
+    .populate({
+      path: 'originalPost',
+      populate: { path: 'author', select: 'username name avatar profile isVerified' }
+    })
     .lean();
 };
 
@@ -165,6 +261,8 @@ postSchema.statics.getGlobalFeed = function(options = {}) {
   
   const query = {
     isActive: true,
+    isHidden: { $ne: true },
+    isScheduled: { $ne: true },
     visibility: 'public', 
     createdAt: lastPostDate ? { $lt: new Date(lastPostDate) } : { $exists: true }
   };
@@ -174,6 +272,10 @@ postSchema.statics.getGlobalFeed = function(options = {}) {
     .limit(limit)
     // ✅ FIX: Added 'profile'
     .populate('author', 'username name avatar profile isVerified') 
+    .populate({
+      path: 'originalPost',
+      populate: { path: 'author', select: 'username name avatar profile isVerified' }
+    })
     .lean();
 };
 
@@ -183,7 +285,10 @@ postSchema.statics.getTrendingPosts = function(options = {}) {
 
   return this.find({
     isActive: true,
+    isHidden: { $ne: true },
+    isScheduled: { $ne: true },
     visibility: 'public',
+    isRepost: { $ne: true },
     createdAt: { $gte: timeAgo }
   })
   .sort({ 'stats.likes': -1, 'stats.comments': -1 })
@@ -198,7 +303,10 @@ postSchema.statics.getNearbyPosts = function(coordinates, maxDistance = 1000, op
 
   return this.find({
     isActive: true,
+    isHidden: { $ne: true },
+    isScheduled: { $ne: true },
     visibility: 'public',
+    isRepost: { $ne: true },
     location: {
       $near: {
         $geometry: {
@@ -215,21 +323,40 @@ postSchema.statics.getNearbyPosts = function(coordinates, maxDistance = 1000, op
   .lean();
 };
 
+// Hashtags in a post's text, lowercased and de-duplicated
+postSchema.statics.parseText = function(text) {
+  const matches = String(text || '').match(/#[\w]+/g) || [];
+  return {
+    hashtags: [...new Set(matches.map(tag => tag.substring(1).toLowerCase()))]
+  };
+};
+
 // Pre-save hook
-postSchema.pre('save', function(next) {
+postSchema.pre('save', async function() {
   if (this.isModified('likes')) {
     this.stats.likes = this.likes.length;
   }
   
-  if (this.isModified('content.text') && this.content.text) {
-    const hashtagRegex = /#[\w]+/g;
-    const hashtags = this.content.text.match(hashtagRegex);
-    if (hashtags) {
-      this.content.hashtags = hashtags.map(tag => tag.substring(1).toLowerCase());
+  // Re-extract on every text change so removed tags and mentions are dropped
+  if (this.isModified('content.text')) {
+    this.content.hashtags = this.constructor.parseText(this.content.text).hashtags;
+  }
+
+  // Only users who can see the post can be mentioned in it
+  if (this.isModified('content.text') || this.isModified('visibility')) {
+    const User = mongoose.model('User');
+
+    if (this.visibility === 'private') {
+      this.content.mentions = [];
+    } else if (this.visibility === 'followers') {
+      const author = await User.findById(this.author).select('followers').lean();
+      this.content.mentions = await User.resolveMentions(this.content.text, this.author, {
+        among: author?.followers || []
+      });
+    } else {
+      this.content.mentions = await User.resolveMentions(this.content.text, this.author);
     }
   }
-  
-  next();
 });
 
 module.exports = mongoose.model('Post', postSchema);
\ No newline at end of file
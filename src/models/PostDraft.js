@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+// An unpublished post, stored server-side so it follows the user across devices
+const postDraftSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  content: {
+    text: {
+      type: String,
+      maxlength: 2000,
+      default: ''
+    },
+    // References to already uploaded media (see POST /media/upload)
+    media: [{
+      type: {
+        type: String,
+        enum: ['image', 'video', 'gif'],
+        required: true
+      },
+      url: {
+        type: String,
+        required: true
+      },
+      publicId: String,
+      thumbnail: String,
+      width: Number,
+      height: Number,
+      duration: Number,
+      size: Number
+    }]
+  },
+
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: [Number],
+    address: String,
+    placeName: String
+  },
+
+  // Poll as entered: option texts, not yet validated
+  poll: {
+    type: new mongoose.Schema({
+      options: [String],
+      multipleChoice: Boolean,
+      anonymous: Boolean,
+      closesAt: Date
+    }, { _id: false }),
+    default: null
+  },
+
+  visibility: {
+    type: String,
+    enum: ['public', 'followers', 'private'],
+    default: 'public'
+  },
+
+  allowComments: {
+    type: Boolean,
+    default: true
+  },
+
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  },
+
+  // Optional: publishing the draft schedules the post for this time
+  publishAt: {
+    type: Date,
+    default: null
+  },
+
+  // Bumped on every save; autosaves must send the version they edited
+  version: {
+    type: Number,
+    default: 1
+  },
+
+  lastEditedDevice: {
+    type: String,
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ['draft', 'publishing', 'published'],
+    default: 'draft'
+  },
+
+  publishingAt: {
+    type: Date,
+    default: null
+  },
+
+  publishedPost: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+
+  // Published drafts are kept briefly so a retried publish returns the same post
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'post_drafts'
+});
+
+postDraftSchema.index({ author: 1, status: 1, updatedAt: -1 });
+postDraftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PostDraft', postDraftSchema);
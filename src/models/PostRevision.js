@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A superseded version of a post's text, saved each time the post is edited
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+
+  // 1 is the text as first published
+  version: {
+    type: Number,
+    required: true
+  },
+
+  text: {
+    type: String,
+    default: ''
+  },
+
+  hashtags: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // When this version went live; createdAt is when it was replaced
+  publishedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'post_revisions'
+});
+
+postRevisionSchema.index({ post: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
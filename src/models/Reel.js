@@ -18,6 +18,10 @@ const reelSchema = new mongoose.Schema({
     type: String,
     maxlength: 2200 // Instagram limit is 2200
   },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   // ✅ UPDATED: Support for Likes
   likes: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -36,4 +40,11 @@ const reelSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Resolve @mentions in the caption whenever it changes
+reelSchema.pre('save', async function() {
+  if (this.isModified('caption')) {
+    this.mentions = await mongoose.model('User').resolveMentions(this.caption, this.user);
+  }
+});
+
 module.exports = mongoose.model('Reel', reelSchema);
\ No newline at end of file
@@ -16,6 +16,10 @@ const reelCommentSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   // ✅ Supports Nesting (Replies)
   parentComment: {
     type: mongoose.Schema.Types.ObjectId,
@@ -48,4 +52,11 @@ reelCommentSchema.pre(/^find/, function(next) {
   next();
 });
 
+// Resolve @mentions whenever the text changes
+reelCommentSchema.pre('save', async function() {
+  if (this.isModified('content')) {
+    this.mentions = await mongoose.model('User').resolveMentions(this.content, this.author);
+  }
+});
+
 module.exports = mongoose.model('ReelComment', reelCommentSchema);
\ No newline at end of file
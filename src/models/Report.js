@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { REPORT_REASONS } = require('../utils/constants');
+
+const reportSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+
+  postAuthor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+
+  details: {
+    type: String,
+    maxlength: 500,
+    trim: true,
+    default: ''
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'dismissed', 'actioned'],
+    default: 'pending'
+  },
+
+  // Moderator decision, shared by every report on the post it covered
+  decision: {
+    action: {
+      type: String,
+      enum: ['dismiss', 'take_down'],
+      default: null
+    },
+    moderator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    note: {
+      type: String,
+      maxlength: 500,
+      default: ''
+    },
+    decidedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true,
+  collection: 'reports'
+});
+
+// Each user reports a post once
+reportSchema.index({ post: 1, reporter: 1 }, { unique: true });
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ reporter: 1, createdAt: -1 });
+
+// Pending reports grouped by post, most reported first
+reportSchema.statics.getQueue = function({ limit = 20, skip = 0, reason = null } = {}) {
+  const match = { status: 'pending' };
+  if (reason) match.reason = reason;
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$post',
+        reportCount: { $sum: 1 },
+        reasons: { $push: '$reason' },
+        firstReportedAt: { $min: '$createdAt' },
+        lastReportedAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { reportCount: -1, firstReportedAt: 1 } },
+    { $skip: skip },
+    { $limit: limit }
+  ]);
+};
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const securityEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: [
+      'refresh_token_reuse',
+      'role_changed',
+      'permissions_changed',
+      'new_device_login',
+      'suspicious_login',
+      'login_reported'
+    ],
+    required: true
+  },
+
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+
+  deviceId: {
+    type: String,
+    default: null
+  },
+
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+
+  userAgent: {
+    type: String,
+    default: ''
+  },
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  collection: 'security_events'
+});
+
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 }); // Keep 180 days
+
+// Static methods
+securityEventSchema.statics.record = async function(event) {
+  try {
+    return await this.create(event);
+  } catch (error) {
+    // Never let audit logging break the request that triggered it
+    console.error('Security event logging error:', error.message);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
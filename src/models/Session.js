@@ -44,6 +44,38 @@ const sessionSchema = new mongoose.Schema({
     select: false
   },
   
+  // Refresh token lineage: every token rotated from the same login shares a family
+  tokenFamily: {
+    type: String,
+    default: null
+  },
+
+  currentTokenId: {
+    type: String,
+    default: null
+  },
+
+  accessTokenId: {
+    type: String, // jti of the latest access token, denylisted on revocation
+    default: null
+  },
+
+  usedTokenIds: {
+    type: [String],
+    default: [],
+    select: false
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  
   firebaseToken: {
     type: String,
     default: null,
@@ -94,6 +126,7 @@ const sessionSchema = new mongoose.Schema({
 sessionSchema.index({ userId: 1, isActive: 1 });
 sessionSchema.index({ deviceId: 1 });
 sessionSchema.index({ refreshToken: 1 });
+sessionSchema.index({ userId: 1, tokenFamily: 1 });
 sessionSchema.index({ lastActivity: -1 });
 
 // Methods
@@ -121,14 +154,14 @@ sessionSchema.statics.findActiveSession = function(userId, deviceId) {
   });
 };
 
-sessionSchema.statics.deactivateUserSessions = function(userId, excludeDeviceId = null) {
+sessionSchema.statics.deactivateUserSessions = function(userId, excludeDeviceId = null, reason = null) {
   const query = { userId, isActive: true };
   if (excludeDeviceId) {
     query.deviceId = { $ne: excludeDeviceId };
   }
   
   return this.updateMany(query, { 
-    $set: { isActive: false } 
+    $set: { isActive: false, revokedAt: new Date(), revokedReason: reason } 
   });
 };
 
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ROLES, PERMISSIONS, ROLE_PERMISSIONS } = require('../utils/constants');
 
 const userSchema = new mongoose.Schema({
   // ===== AUTHENTICATION FIELDS (EXISTING) =====
@@ -73,6 +74,10 @@ const userSchema = new mongoose.Schema({
       type: String,
       default: 'https://res.cloudinary.com/pulse/image/upload/v1/defaults/avatar.png'
     },
+    avatarPublicId: {
+      type: String, // Cloudinary public_id of an uploaded avatar
+      default: null
+    },
     coverPhoto: {
       type: String,
       default: 'https://res.cloudinary.com/pulse/image/upload/v1/defaults/cover.png'
@@ -116,6 +121,18 @@ const userSchema = new mongoose.Schema({
     default: Date.now
   },
 
+  // ===== ROLES & PERMISSIONS =====
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  // Granted on top of the role's own permissions
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
+
   // ===== SOCIAL STATS (NEW) =====
   stats: {
     posts: {
@@ -149,6 +166,12 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Hashtags whose posts are mixed into the home feed
+  followedHashtags: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
   
   // ===== LOCATION DATA (EXISTING - ENHANCED) =====
   lastLocation: {
@@ -274,6 +297,55 @@ const userSchema = new mongoose.Schema({
     default: null
   },
 
+  // ===== TWO-FACTOR AUTH (TOTP) =====
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String, // encrypted, see totpService
+      default: null,
+      select: false
+    },
+    pendingSecret: {
+      type: String, // set during enrollment until the first code is confirmed
+      default: null,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String], // sha256 hashes of unused codes
+      default: [],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // ===== ACCOUNT DELETION =====
+  deletion: {
+    requestedAt: {
+      type: Date,
+      default: null
+    },
+    scheduledFor: {
+      type: Date, // purge runs after this; logging in before then cancels it
+      default: null
+    },
+    reason: {
+      type: String,
+      maxlength: 500,
+      default: ''
+    }
+  },
+
   // ===== VERIFICATION & BADGES (NEW) =====
   badges: [{
     type: {
@@ -320,6 +392,12 @@ userSchema.index({ lastLocation: '2dsphere' });
 userSchema.index({ lastActive: -1 });
 userSchema.index({ createdAt: -1 });
 
+// Account purge job
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+
+// Staff listing
+userSchema.index({ role: 1 });
+
 // ===== VIRTUAL FIELDS =====
 userSchema.virtual('followerCount').get(function() {
   return this.followers?.length || this.stats.followers || 0;
@@ -369,6 +447,27 @@ userSchema.methods.resetLoginAttempts = function() {
   });
 };
 
+// ===== ROLE METHODS =====
+userSchema.methods.getPermissions = function() {
+  return [...new Set([...(ROLE_PERMISSIONS[this.role] || []), ...(this.permissions || [])])];
+};
+
+userSchema.methods.hasPermission = function(permission) {
+  return this.getPermissions().includes(permission);
+};
+
+// Keep the moderator badge in step with the role
+userSchema.methods.syncRoleBadge = function() {
+  const isStaff = this.role === 'moderator' || this.role === 'admin';
+  const hasBadge = this.badges.some(badge => badge.type === 'moderator');
+
+  if (isStaff && !hasBadge) {
+    this.badges.push({ type: 'moderator' });
+  } else if (!isStaff && hasBadge) {
+    this.badges = this.badges.filter(badge => badge.type !== 'moderator');
+  }
+};
+
 // ===== NEW PROFILE METHODS =====
 userSchema.methods.updateLastActive = function() {
   this.lastActive = new Date();
@@ -407,6 +506,31 @@ userSchema.methods.isBlocked = function(userId) {
 };
 
 // ===== STATIC METHODS (EXISTING + ENHANCED) =====
+// @usernames in a piece of text, lowercased and de-duplicated
+userSchema.statics.extractUsernames = function(text) {
+  const matches = String(text || '').match(/(?<![\w@])@[a-zA-Z0-9_]{3,20}\b/g) || [];
+  return [...new Set(matches.map(match => match.substring(1).toLowerCase()))];
+};
+
+// IDs of the users @mentioned in `text` that `authorId` may tag: skips the
+// author, users who turned tagging off and users who blocked the author.
+// `among` limits mentions to a set of users (e.g. conversation participants).
+userSchema.statics.resolveMentions = async function(text, authorId, { among = null } = {}) {
+  const usernames = this.extractUsernames(text);
+  if (usernames.length === 0) return [];
+
+  const users = await this.find({
+    username: { $in: usernames },
+    isActive: true,
+    'deletion.scheduledFor': null,
+    'privacy.allowTagging': { $ne: false },
+    blockedUsers: { $ne: authorId },
+    _id: among ? { $in: among, $ne: authorId } : { $ne: authorId }
+  }).select('_id').lean();
+
+  return users.map(user => user._id);
+};
+
 userSchema.statics.findByAuthMethod = function(type, identifier) {
   let query;
   
@@ -497,6 +621,11 @@ userSchema.pre('save', function(next) {
   if (this.isModified('following')) {
     this.stats.following = this.following.length;
   }
+
+  // The moderator badge follows the role
+  if (this.isModified('role') || this.isModified('badges')) {
+    this.syncRoleBadge();
+  }
   
   // Set displayName to username if not set
   if (!this.profile.displayName && this.username) {
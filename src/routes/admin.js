@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { verifyAccessToken, requirePermission } = require('../middlewares/auth');
+const adminController = require('../controllers/adminController');
+
+// Role management - needs the roles:manage permission (admins by default)
+router.use(verifyAccessToken, requirePermission('roles:manage'));
+
+router.get('/staff', adminController.getStaff);
+router.get('/users/:userId/access', adminController.getUserAccess);
+router.put('/users/:userId/role', adminController.setUserRole);
+router.post('/users/:userId/permissions', adminController.grantPermission);
+router.delete('/users/:userId/permissions/:permission', adminController.revokePermission);
+
+module.exports = router;
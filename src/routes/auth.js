@@ -6,18 +6,57 @@ const authMiddleware = require('../middlewares/auth');
 // Public routes
 router.post('/initiate', authController.authRateLimit, authController.initiateAuth);
 router.post('/verify-otp', authController.authRateLimit, authController.verifyOTP);
+router.post('/magic-link/verify', authController.authRateLimit, authController.verifyMagicLink);
+router.post('/login', authController.authRateLimit, authController.login);
 router.post('/create-username', authController.authRateLimit, authController.createUsername);
 router.post('/refresh-token', authController.refreshToken);
 router.post('/resend-otp', authController.otpRateLimit, authController.resendOTP);
 router.get('/check-username', authController.checkUsername);
 
+// Password reset (OTP purpose 'password_reset')
+router.post('/password/forgot', authController.otpRateLimit, authController.forgotPassword);
+router.post('/password/reset', authController.authRateLimit, authController.resetPassword);
+
 // 🆕 ADDED: Firebase Login Route
 router.post('/firebase-login', authController.authRateLimit, authController.firebaseLogin);
 
+// Two-factor login challenge (challengeToken from any login method)
+router.post('/2fa/verify', authController.authRateLimit, authController.verifyTwoFactor);
+
+// "This wasn't me" link from login alert emails
+router.post('/security/not-me', authController.authRateLimit, authController.reportUnrecognizedLogin);
+
 // Protected routes
 router.get('/me', authMiddleware.verifyAccessToken, authController.getCurrentUser);
 router.post('/logout', authMiddleware.verifyAccessToken, authController.logout);
 
+// Session (device) management
+router.get('/sessions', authMiddleware.verifyAccessToken, authController.getSessions);
+router.post('/sessions/logout-others', authMiddleware.verifyAccessToken, authController.revokeOtherSessions);
+router.delete('/sessions/:deviceId', authMiddleware.verifyAccessToken, authController.revokeSession);
+
+// Two-factor (TOTP) management
+router.get('/2fa', authMiddleware.verifyAccessToken, authController.getTwoFactorStatus);
+router.post('/2fa/setup', authMiddleware.verifyAccessToken, authController.setupTwoFactor);
+router.post('/2fa/enable', authMiddleware.verifyAccessToken, authController.authRateLimit, authController.enableTwoFactor);
+router.post('/2fa/disable', authMiddleware.verifyAccessToken, authController.authRateLimit, authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authMiddleware.verifyAccessToken, authController.authRateLimit, authController.regenerateRecoveryCodes);
+
+// Linked sign-in methods
+router.get('/methods', authMiddleware.verifyAccessToken, authController.getAuthMethods);
+router.post('/methods/link', authMiddleware.verifyAccessToken, authController.otpRateLimit, authController.linkAuthMethod);
+router.post('/methods/verify', authMiddleware.verifyAccessToken, authController.authRateLimit, authController.verifyAuthMethodLink);
+router.post('/methods/firebase', authMiddleware.verifyAccessToken, authController.authRateLimit, authController.linkFirebaseAuthMethod);
+router.delete('/methods/:methodId', authMiddleware.verifyAccessToken, authController.unlinkAuthMethod);
+
+// Security events (login alerts etc.)
+router.get('/security/events', authMiddleware.verifyAccessToken, authController.getSecurityEvents);
+
+// Personal access tokens for bots/integrations (cannot be managed with an API token)
+router.get('/tokens', authMiddleware.verifyAccessToken, authController.getApiTokens);
+router.post('/tokens', authMiddleware.verifyAccessToken, authController.createApiToken);
+router.delete('/tokens/:tokenId', authMiddleware.verifyAccessToken, authController.revokeApiToken);
+
 // Test route
 router.get('/test', (req, res) => {
   res.json({
@@ -28,15 +67,38 @@ router.get('/test', (req, res) => {
       public: [
         'POST /api/v1/auth/initiate - Start email/phone authentication',
         'POST /api/v1/auth/verify-otp - Verify OTP code',
+        'POST /api/v1/auth/magic-link/verify - Sign in with an emailed magic link',
+        'POST /api/v1/auth/login - Login with email/phone/username and password',
         'POST /api/v1/auth/create-username - Create username/password (new users)',
         'POST /api/v1/auth/refresh-token - Refresh access token',
         'POST /api/v1/auth/resend-otp - Resend OTP code',
         'GET /api/v1/auth/check-username - Check username availability',
-        'POST /api/v1/auth/firebase-login - Login with Firebase ID token' // Added to docs for consistency
+        'POST /api/v1/auth/password/forgot - Send a password reset code',
+        'POST /api/v1/auth/password/reset - Reset password with the code',
+        'POST /api/v1/auth/firebase-login - Login with Firebase ID token', // Added to docs for consistency
+        'POST /api/v1/auth/2fa/verify - Complete login with an authenticator or recovery code',
+        'POST /api/v1/auth/security/not-me - Sign out a session reported from a login alert'
       ],
       protected: [
         'GET /api/v1/auth/me - Get current user info',
-        'POST /api/v1/auth/logout - Logout from device'
+        'POST /api/v1/auth/logout - Logout from device',
+        'GET /api/v1/auth/sessions - List logged-in devices',
+        'DELETE /api/v1/auth/sessions/:deviceId - Log out a specific device',
+        'POST /api/v1/auth/sessions/logout-others - Log out all other devices',
+        'GET /api/v1/auth/2fa - Two-factor status',
+        'POST /api/v1/auth/2fa/setup - Start authenticator app enrollment',
+        'POST /api/v1/auth/2fa/enable - Confirm enrollment and get recovery codes',
+        'POST /api/v1/auth/2fa/disable - Turn off two-factor auth',
+        'POST /api/v1/auth/2fa/recovery-codes - Regenerate recovery codes',
+        'GET /api/v1/auth/methods - List linked sign-in methods',
+        'POST /api/v1/auth/methods/link - Send a code to link an email or phone',
+        'POST /api/v1/auth/methods/verify - Confirm the code and link it',
+        'POST /api/v1/auth/methods/firebase - Link a Google/Facebook identity',
+        'DELETE /api/v1/auth/methods/:methodId - Unlink a sign-in method',
+        'GET /api/v1/auth/security/events - Recent login alerts and security events',
+        'GET /api/v1/auth/tokens - List personal access tokens',
+        'POST /api/v1/auth/tokens - Create a scoped personal access token',
+        'DELETE /api/v1/auth/tokens/:tokenId - Revoke a personal access token'
       ]
     },
     features: [
@@ -1,17 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { verifyAccessToken } = require('../middlewares/auth');
+const { verifyAccessToken, allowApiToken } = require('../middlewares/auth');
 const chatController = require('../controllers/chatController');
 
 // Conversation routes
-router.post('/conversation', verifyAccessToken, chatController.getOrCreateConversation);
-router.get('/conversations', verifyAccessToken, chatController.getConversations);
-router.get('/search', verifyAccessToken, chatController.searchConversations);
-router.get('/:conversationId', verifyAccessToken, chatController.getConversationDetails);
+router.post('/conversation', allowApiToken('chat:write'), verifyAccessToken, chatController.getOrCreateConversation);
+router.get('/conversations', allowApiToken('chat:read'), verifyAccessToken, chatController.getConversations);
+router.get('/search', allowApiToken('chat:read'), verifyAccessToken, chatController.searchConversations);
+router.get('/:conversationId', allowApiToken('chat:read'), verifyAccessToken, chatController.getConversationDetails);
 
 // Message routes
-router.get('/:conversationId/messages', verifyAccessToken, chatController.getMessages);
-router.post('/:conversationId/read', verifyAccessToken, chatController.markConversationRead);
-router.delete('/messages/:messageId', verifyAccessToken, chatController.deleteMessage);
+router.get('/:conversationId/messages', allowApiToken('chat:read'), verifyAccessToken, chatController.getMessages);
+router.post('/:conversationId/read', allowApiToken('chat:write'), verifyAccessToken, chatController.markConversationRead);
+router.delete('/messages/:messageId', allowApiToken('chat:write'), verifyAccessToken, chatController.deleteMessage);
 
 module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const devController = require('../controllers/devController');
+
+// Development helpers - only mounted when the dev outbox is enabled (see app.js)
+
+// Messages captured by the dev_outbox OTP provider
+router.get('/outbox', devController.getOutbox);
+router.delete('/outbox', devController.clearOutbox);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { verifyAccessToken, allowApiToken } = require('../middlewares/auth');
+const draftController = require('../controllers/draftController');
+
+router.get('/', allowApiToken('posts:read'), verifyAccessToken, draftController.getDrafts);
+router.post('/', allowApiToken('posts:write'), verifyAccessToken, draftController.createDraft);
+router.get('/:draftId', allowApiToken('posts:read'), verifyAccessToken, draftController.getDraft);
+
+// Autosave (send `version`; 409 with the current draft on conflict)
+router.patch('/:draftId', allowApiToken('posts:write'), verifyAccessToken, draftController.updateDraft);
+router.delete('/:draftId', allowApiToken('posts:write'), verifyAccessToken, draftController.deleteDraft);
+
+// Publish as a real post
+router.post('/:draftId/publish', allowApiToken('posts:write'), verifyAccessToken, draftController.publishDraft);
+
+module.exports = router;
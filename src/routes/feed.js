@@ -1,18 +1,18 @@
 const express = require('express');
 const router = express.Router();
-const { verifyAccessToken } = require('../middlewares/auth'); // Assuming 'authenticate' is 'verifyAccessToken' based on your middleware
+const { verifyAccessToken, allowApiToken } = require('../middlewares/auth'); // Assuming 'authenticate' is 'verifyAccessToken' based on your middleware
 const feedController = require('../controllers/feedController'); // <--- NEW CONTROLLER IMPORTED
 
 // NEW: Global feed (fixes the bug, shows all public posts)
-router.get('/global', verifyAccessToken, feedController.getGlobalFeed);
+router.get('/global', allowApiToken('feed:read'), verifyAccessToken, feedController.getGlobalFeed);
 
 // Home feed (personalized feed from following users - EXISTING)
-router.get('/home', verifyAccessToken, feedController.getHomeFeed);
+router.get('/home', allowApiToken('feed:read'), verifyAccessToken, feedController.getHomeFeed);
 
 // Trending posts (EXISTING)
-router.get('/trending', verifyAccessToken, feedController.getTrendingPosts);
+router.get('/trending', allowApiToken('feed:read'), verifyAccessToken, feedController.getTrendingPosts);
 
 // Nearby posts (location-based - EXISTING)
-router.get('/nearby', verifyAccessToken, feedController.getNearbyPosts);
+router.get('/nearby', allowApiToken('feed:read'), verifyAccessToken, feedController.getNearbyPosts);
 
 module.exports = router;
\ No newline at end of file
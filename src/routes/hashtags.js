@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { verifyAccessToken, allowApiToken } = require('../middlewares/auth');
+const hashtagController = require('../controllers/hashtagController');
+
+// Trending hashtags (?window=1h|24h|7d, optional longitude/latitude/radius)
+router.get('/trending', allowApiToken('feed:read'), verifyAccessToken, hashtagController.getTrendingHashtags);
+
+// Hashtags I follow
+router.get('/following', allowApiToken('feed:read'), verifyAccessToken, hashtagController.getFollowedHashtags);
+
+// Hashtag page
+router.get('/:tag/posts', allowApiToken('feed:read'), verifyAccessToken, hashtagController.getHashtagPosts);
+
+// Follow / unfollow a hashtag
+router.post('/:tag/follow', allowApiToken('users:write'), verifyAccessToken, hashtagController.followHashtag);
+router.delete('/:tag/follow', allowApiToken('users:write'), verifyAccessToken, hashtagController.unfollowHashtag);
+
+module.exports = router;
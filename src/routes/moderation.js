@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { verifyAccessToken, requirePermission } = require('../middlewares/auth');
+const moderationController = require('../controllers/moderationController');
+
+// Report review - moderators and admins (reports:review)
+router.use(verifyAccessToken, requirePermission('reports:review'));
+
+router.get('/queue', moderationController.getQueue);
+router.get('/posts/:postId/reports', moderationController.getPostReports);
+router.post('/posts/:postId/dismiss', moderationController.dismissReports);
+router.post('/posts/:postId/take-down', requirePermission('posts:moderate'), moderationController.takeDownPost);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { verifyAccessToken } = require('../middlewares/auth');
+const notificationController = require('../controllers/notificationController');
+
+router.get('/', verifyAccessToken, notificationController.getNotifications);
+router.get('/unread-count', verifyAccessToken, notificationController.getUnreadCount);
+router.post('/read', verifyAccessToken, notificationController.markRead);
+router.delete('/:notificationId', verifyAccessToken, notificationController.deleteNotification);
+
+module.exports = router;
@@ -1,30 +1,56 @@
 const express = require('express');
 const router = express.Router();
-const { verifyAccessToken } = require('../middlewares/auth');
+const { verifyAccessToken, allowApiToken } = require('../middlewares/auth');
 const postController = require('../controllers/postController');
 
 // Create post
-router.post('/', verifyAccessToken, postController.createPost);
+router.post('/', allowApiToken('posts:write'), verifyAccessToken, postController.createPost);
 
 // Get single post
-router.get('/:postId', verifyAccessToken, postController.getPost);
+router.get('/:postId', allowApiToken('posts:read'), verifyAccessToken, postController.getPost);
 
 // Update post
-router.patch('/:postId', verifyAccessToken, postController.updatePost);
+router.patch('/:postId', allowApiToken('posts:write'), verifyAccessToken, postController.updatePost);
+
+// Edit history
+router.get('/:postId/revisions', allowApiToken('posts:read'), verifyAccessToken, postController.getRevisions);
 
 // Delete post
-router.delete('/:postId', verifyAccessToken, postController.deletePost);
-router.get('/me/posts', verifyAccessToken, postController.getMyPosts);
+router.delete('/:postId', allowApiToken('posts:write'), verifyAccessToken, postController.deletePost);
+router.get('/me/posts', allowApiToken('posts:read'), verifyAccessToken, postController.getMyPosts);
+
+// Scheduled posts: list, reschedule, cancel
+router.get('/me/scheduled', allowApiToken('posts:read'), verifyAccessToken, postController.getScheduledPosts);
+router.patch('/:postId/schedule', allowApiToken('posts:write'), verifyAccessToken, postController.reschedulePost);
+router.delete('/:postId/schedule', allowApiToken('posts:write'), verifyAccessToken, postController.cancelScheduledPost);
 
+// Reports I've made and their outcome
+router.get('/me/reports', verifyAccessToken, postController.getMyReports);
 
 // User posts
-router.get('/user/:username', verifyAccessToken, postController.getUserPosts);
+router.get('/user/:username', allowApiToken('posts:read'), verifyAccessToken, postController.getUserPosts);
 
 // Like/Unlike post
-router.post('/:postId/like', verifyAccessToken, postController.toggleLike);
+router.post('/:postId/like', allowApiToken('posts:write'), verifyAccessToken, postController.toggleLike);
+
+// Repost (optional quote text) / undo repost
+router.post('/:postId/repost', allowApiToken('posts:write'), verifyAccessToken, postController.repost);
+router.delete('/:postId/repost', allowApiToken('posts:write'), verifyAccessToken, postController.undoRepost);
+
+// Polls: vote / remove vote / voters of an option (?optionId=)
+router.post('/:postId/poll/vote', allowApiToken('posts:write'), verifyAccessToken, postController.votePoll);
+router.delete('/:postId/poll/vote', allowApiToken('posts:write'), verifyAccessToken, postController.unvotePoll);
+router.get('/:postId/poll/voters', allowApiToken('posts:read'), verifyAccessToken, postController.getPollVoters);
+
+// Pin / unpin on my profile
+router.post('/:postId/pin', allowApiToken('posts:write'), verifyAccessToken, postController.pinPost);
+router.delete('/:postId/pin', allowApiToken('posts:write'), verifyAccessToken, postController.unpinPost);
+
+// Report a post to moderators
+router.post('/:postId/report', verifyAccessToken, postController.reportPost);
 
 // Comments
-router.post('/:postId/comments', verifyAccessToken, postController.addComment);
-router.get('/:postId/comments', verifyAccessToken, postController.getComments);
+router.post('/:postId/comments', allowApiToken('posts:write'), verifyAccessToken, postController.addComment);
+router.get('/:postId/comments', allowApiToken('posts:read'), verifyAccessToken, postController.getComments);
 
 module.exports = router;
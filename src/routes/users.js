@@ -1,32 +1,47 @@
 const express = require('express');
 const router = express.Router();
-const { verifyAccessToken } = require('../middlewares/auth');
+const { verifyAccessToken, allowApiToken } = require('../middlewares/auth');
 const userController = require('../controllers/userController');
 const upload = require('../middlewares/upload');
 
 // ✅ ADD THIS - Must be FIRST to avoid route conflicts
-router.get('/search', verifyAccessToken, userController.searchUsers);
+router.get('/search', allowApiToken('users:read'), verifyAccessToken, userController.searchUsers);
+
+// Data export download (token in the link, no auth header)
+router.get('/exports/download', userController.downloadDataExport);
 
 // Get current user profile
-router.get('/me', verifyAccessToken, userController.getCurrentUser);
+router.get('/me', allowApiToken('users:read'), verifyAccessToken, userController.getCurrentUser);
 
 // Get user profile by username
-router.get('/:username', verifyAccessToken, userController.getUserByUsername);
+router.get('/:username', allowApiToken('users:read'), verifyAccessToken, userController.getUserByUsername);
 
 // NEW: Get user posts
-router.get('/:username/posts', verifyAccessToken, userController.getUserPosts);
+router.get('/:username/posts', allowApiToken('users:read'), verifyAccessToken, userController.getUserPosts);
 
 // Update user profile
-router.patch('/me', verifyAccessToken, userController.updateProfile);
+router.patch('/me', allowApiToken('users:write'), verifyAccessToken, userController.updateProfile);
+
+// Delete account (starts the grace period; logging in again cancels it)
+router.delete('/me', verifyAccessToken, userController.deleteAccount);
+
+// Change email / phone (code to the new address, then confirm)
+router.post('/me/contact', verifyAccessToken, userController.requestContactChange);
+router.post('/me/contact/verify', verifyAccessToken, userController.confirmContactChange);
+
+// Data exports
+router.post('/me/exports', verifyAccessToken, userController.requestDataExport);
+router.get('/me/exports', verifyAccessToken, userController.getDataExports);
+router.get('/me/exports/:exportId', verifyAccessToken, userController.getDataExport);
 
 // Upload avatar
-router.post('/me/avatar', verifyAccessToken, upload.single('avatar'), userController.uploadAvatar);
+router.post('/me/avatar', allowApiToken('users:write'), verifyAccessToken, upload.single('avatar'), userController.uploadAvatar);
 
 // Follow/Unfollow user
-router.post('/:username/follow', verifyAccessToken, userController.toggleFollow);
+router.post('/:username/follow', allowApiToken('users:write'), verifyAccessToken, userController.toggleFollow);
 
 // Get lists
-router.get('/:username/followers', verifyAccessToken, userController.getFollowers);
-router.get('/:username/following', verifyAccessToken, userController.getFollowing);
+router.get('/:username/followers', allowApiToken('users:read'), verifyAccessToken, userController.getFollowers);
+router.get('/:username/following', allowApiToken('users:read'), verifyAccessToken, userController.getFollowing);
 
 module.exports = router;
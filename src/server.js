@@ -10,10 +10,11 @@ const cacheService = require('./services/cacheService');
 const app = require('./app');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken'); // ✅ ADDED: For socket auth
 
 // ✅ ADDED: Import the Chat Realtime Handler
 const realtimeHandler = require('./sockets/realtime');
+const socketSessions = require('./sockets/sessions');
+const socketAuth = require('./sockets/auth');
 
 const PORT = config.get('server.port');
 const NODE_ENV = config.get('server.nodeEnv');
@@ -33,28 +34,9 @@ const io = new Server(server, {
   }
 });
 
-// ✅ ADDED: Socket Authentication Middleware
-// This ensures 'socket.userId' exists for the chat logic
-io.use((socket, next) => {
-  if (socket.handshake.auth && socket.handshake.auth.token) {
-    try {
-      // Get token from auth object
-      const token = socket.handshake.auth.token;
-      // Verify token (using your config secret)
-      const decoded = jwt.verify(token, config.get('jwt.accessTokenSecret') || process.env.JWT_SECRET);
-      socket.userId = decoded.userId;
-      next();
-    } catch (err) {
-      console.error('Socket Auth Error:', err.message);
-      next(new Error('Authentication error'));
-    }
-  } else {
-    // Allow unauthenticated connections if needed (or fail)
-    // For chat, we usually want auth, but we'll let it pass to next() 
-    // so your existing 'user-online' logic doesn't break.
-    next();
-  }
-});
+// Socket authentication: every connection needs a valid access token for an
+// active session (see sockets/auth.js)
+io.use(socketAuth.middleware);
 
 // Initialization function
 async function initialize() {
@@ -103,6 +85,12 @@ async function initialize() {
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log(`👤 User connected: ${socket.id} ${socket.userId ? `(ID: ${socket.userId})` : ''}`);
+
+  // Join user/session rooms so revoked sessions can be disconnected
+  socketSessions.joinSessionRooms(socket);
+
+  // Drop the socket when its token expires unless the client reauthenticates
+  socketAuth.attach(socket);
   
   // ✅ ADDED: Attach the Real-Time Chat Logic here
   // This enables join_conversation, send_message, typing_start, etc.
@@ -114,6 +102,10 @@ io.on('connection', (socket) => {
 
   // Real-time features for social app
   socket.on('join-room', (room) => {
+    // Per-user and per-session rooms are managed by the server only
+    if (typeof room !== 'string' || room.startsWith('user_') || room.startsWith('session_')) {
+      return socket.emit('error', { message: 'Cannot join this room' });
+    }
     socket.join(room);
     console.log(`📍 User ${socket.id} joined room: ${room}`);
   });
@@ -130,11 +122,9 @@ io.on('connection', (socket) => {
     console.log(`📍 User ${socket.id} joined location: ${locationRoom}`);
   });
 
-  // User presence
-  socket.on('user-online', (userId) => {
-    socket.userId = userId;
-    socket.join(`user_${userId}`);
-    io.emit('user-status', { userId, status: 'online' });
+  // User presence - always the authenticated user, whatever the client sends
+  socket.on('user-online', () => {
+    io.emit('user-status', { userId: socket.userId, status: 'online' });
   });
 
   socket.on('user-typing', (data) => {
@@ -147,6 +137,7 @@ io.on('connection', (socket) => {
 
 // Make io accessible to routes
 app.set('socketio', io);
+socketSessions.attach(io);
 
 // Enhanced health check endpoint
 app.get('/health', (req, res) => {
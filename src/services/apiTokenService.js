@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const ApiToken = require('../models/ApiToken');
+const User = require('../models/User');
+const { API_TOKEN_SCOPES, API_TOKEN_PREFIX } = require('../utils/constants');
+
+const MAX_TOKENS_PER_USER = 20;
+const MAX_EXPIRY_DAYS = 365;
+// lastUsedAt is written at most this often per token
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+class ApiTokenService {
+  isApiToken(token) {
+    return typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+  }
+
+  formatToken(apiToken) {
+    return {
+      id: apiToken._id,
+      name: apiToken.name,
+      tokenPrefix: apiToken.tokenPrefix,
+      scopes: apiToken.scopes,
+      lastUsedAt: apiToken.lastUsedAt,
+      lastUsedIp: apiToken.lastUsedIp,
+      expiresAt: apiToken.expiresAt,
+      createdAt: apiToken.createdAt
+    };
+  }
+
+  // Create a token; the plaintext value is only returned here
+  async createToken(userId, { name, scopes, expiresInDays }) {
+    if (!name || !String(name).trim()) {
+      throw new Error('Token name is required');
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error('At least one scope is required');
+    }
+
+    const unknown = scopes.filter(scope => !API_TOKEN_SCOPES.includes(scope));
+    if (unknown.length) {
+      throw new Error(`Invalid scope: ${unknown.join(', ')}`);
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = parseInt(expiresInDays);
+      if (!days || days < 1 || days > MAX_EXPIRY_DAYS) {
+        throw new Error(`Invalid expiry: must be between 1 and ${MAX_EXPIRY_DAYS} days`);
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const activeCount = await ApiToken.countDocuments({ userId, revokedAt: null });
+    if (activeCount >= MAX_TOKENS_PER_USER) {
+      throw new Error(`Token limit reached (${MAX_TOKENS_PER_USER})`);
+    }
+
+    const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const apiToken = await ApiToken.create({
+      userId,
+      name: String(name).trim(),
+      tokenHash: ApiToken.hashToken(token),
+      tokenPrefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    console.log(`🔑 API token "${apiToken.name}" created for user ${userId}`);
+
+    return {
+      ...this.formatToken(apiToken),
+      token
+    };
+  }
+
+  async listTokens(userId) {
+    const tokens = await ApiToken.find({ userId, revokedAt: null }).sort({ createdAt: -1 });
+    return tokens.map(apiToken => this.formatToken(apiToken));
+  }
+
+  async revokeToken(userId, tokenId) {
+    const apiToken = await ApiToken.findOneAndUpdate(
+      { _id: tokenId, userId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!apiToken) {
+      throw new Error('API token not found');
+    }
+
+    console.log(`🔒 API token "${apiToken.name}" revoked for user ${userId}`);
+    return this.formatToken(apiToken);
+  }
+
+  // Resolve a presented token to { apiToken, user }, or null if unusable
+  async authenticate(token, ipAddress) {
+    const apiToken = await ApiToken.findActiveByToken(token);
+    if (!apiToken) return null;
+
+    const user = await User.findById(apiToken.userId);
+    if (!user || !user.isActive || (user.deletion && user.deletion.scheduledFor)) {
+      return null;
+    }
+
+    // Throttled so busy bots don't write on every request
+    const lastUsed = apiToken.lastUsedAt ? apiToken.lastUsedAt.getTime() : 0;
+    if (Date.now() - lastUsed > LAST_USED_WRITE_INTERVAL_MS) {
+      ApiToken.updateOne(
+        { _id: apiToken._id },
+        { lastUsedAt: new Date(), lastUsedIp: ipAddress || null }
+      ).catch(error => console.error('API token last-used update failed:', error.message));
+    }
+
+    return { apiToken, user };
+  }
+}
+
+module.exports = new ApiTokenService();
@@ -1,15 +1,32 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
 const OTP = require('../models/OTP');
 const jwtService = require('./jwtService');
 const customOTPService = require('./customOTPService');
+const totpService = require('./totpService');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const firebaseConfig = require('../config/firebase');
+const config = require('../config');
+const socketSessions = require('../sockets/sessions');
+const cacheService = require('./cacheService');
+const securityAlertService = require('./securityAlertService');
+
+const ACCESS_TOKEN_TTL = 15 * 60; // seconds, matches the access token lifetime
+const SESSION_STATE_CACHE_TTL = 60; // seconds an active session is trusted from cache
+const CONTACT_CHANGE_TTL = 15 * 60; // seconds a pending email/phone change stays valid
+
+// Firebase sign_in_provider -> authMethods type
+const FIREBASE_PROVIDER_TYPES = {
+  'google.com': 'google',
+  'facebook.com': 'facebook'
+};
 
 class AuthService {
   // Initiate authentication process (EMAIL + PHONE)
-  async initiateAuth(identifier, method, deviceInfo, ipAddress) {
+  async initiateAuth(identifier, method, deviceInfo, ipAddress, options = {}) {
   try {
     console.log(`🚀 Initiating ${method} auth for: ${identifier}`);
 
@@ -47,11 +64,14 @@ class AuthService {
     // Send OTP based on method
     let otpResult;
     if (method === 'email') {
+      // Optionally include a magic link bound to the requesting device
+      const withMagicLink = !!options.magicLink && config.get('otp.magicLinkEnabled');
       otpResult = await customOTPService.sendEmailOTP(
         identifier, 
         purpose, 
         existingUser?._id, 
-        ipAddress
+        ipAddress,
+        withMagicLink ? { magicLink: { deviceId: deviceInfo.deviceId } } : {}
       );
     } else if (method === 'phone') {
       // Use 10-digit part for SMS
@@ -64,7 +84,7 @@ class AuthService {
       );
     }
 
-    return {
+    const result = {
       success: true,
       method,
       identifier: method === 'phone' ? `+${processedIdentifier}` : identifier,
@@ -74,6 +94,16 @@ class AuthService {
       message: `OTP sent to ${method === 'phone' ? `+${processedIdentifier}` : identifier}`
     };
 
+    // Only the initiating client gets the nonce; the link alone is not enough
+    if (otpResult.magicLinkNonce) {
+      result.magicLink = {
+        nonce: otpResult.magicLinkNonce,
+        expiresIn: otpResult.expiresIn
+      };
+    }
+
+    return result;
+
   } catch (error) {
     console.error(`${method} auth initiation error:`, error.message);
     throw error;
@@ -99,8 +129,13 @@ async loginWithFirebase(idToken, deviceInfo, ipAddress) {
       console.log(`🔥 Firebase Login: ${method} - ${identifier}`);
 
       // 3. Check if user already exists in YOUR database
-      // We reuse the existing lookup logic to ensure consistency
-      let user = await User.findByAuthMethod(method, identifier);
+      // A linked Google/Facebook identity wins, then the email/phone lookup
+      const providerType = FIREBASE_PROVIDER_TYPES[firebase?.sign_in_provider];
+      let user = providerType ? await User.findByAuthMethod(providerType, uid) : null;
+
+      if (!user) {
+        user = await User.findByAuthMethod(method, identifier);
+      }
 
       if (!user) {
         // 4. If new user, create them
@@ -117,15 +152,18 @@ async loginWithFirebase(idToken, deviceInfo, ipAddress) {
         if (picture && !user.avatar) user.avatar = picture;
         if (name && !user.name) user.name = name;
         await user.save();
-      } else {
+      } else if (!providerType || !user.authMethods.some(am => am.type === providerType && am.identifier === uid)) {
         // 5. If existing user, ensure this auth method is marked as verified
         // This handles the case where a user signed up via Custom OTP but now logs in via Google
         await this.updateUserAuthMethod(user, method, identifier);
+      } else {
+        user.lastLoginAt = new Date();
+        await user.save();
       }
 
-      // 6. Create Session
+      // 6. Create Session (or pause for the second factor)
       // This is the convergence point: generate the exact same tokens as your OTP flow
-      return await this.createUserSession(user, deviceInfo, ipAddress);
+      return await this.completeLogin(user, deviceInfo, ipAddress);
 
     } catch (error) {
       console.error('Firebase login service error:', error.message);
@@ -159,7 +197,33 @@ async loginWithFirebase(idToken, deviceInfo, ipAddress) {
         ipAddress
       );
 
+      return await this.completeOTPAuth(method, identifier, otpResult, deviceInfo, ipAddress);
+
+    } catch (error) {
+      console.error('OTP verification error:', error.message);
+      throw error;
+    }
+  }
+
+  // Sign in with a magic link from the OTP email, opened on the initiating device
+  async verifyMagicLink(token, nonce, deviceInfo, ipAddress) {
+    try {
+      const otpResult = await customOTPService.verifyMagicLink(token, nonce, deviceInfo.deviceId);
+
+      return await this.completeOTPAuth('email', otpResult.identifier, otpResult, deviceInfo, ipAddress);
+
+    } catch (error) {
+      console.error('Magic link auth error:', error.message);
+      throw error;
+    }
+  }
+
+  // Shared outcome of a verified OTP or magic link: create/update the user,
+  // then either ask for a username or sign in
+  async completeOTPAuth(method, identifier, otpResult, deviceInfo, ipAddress) {
+    try {
       // Check if user exists (get fresh data)
+      let existingUser;
       if (method === 'email') {
         existingUser = await User.findByAuthMethod('email', identifier);
       } else if (method === 'phone') {
@@ -196,27 +260,384 @@ async loginWithFirebase(idToken, deviceInfo, ipAddress) {
         };
       }
 
-      // Generate session and tokens
-      const sessionResult = await this.createUserSession(existingUser, deviceInfo, ipAddress);
-      
+      // Generate session and tokens (or pause for the second factor)
+      return await this.completeLogin(existingUser, deviceInfo, ipAddress);
+
+    } catch (error) {
+      console.error('OTP auth completion error:', error.message);
+      throw error;
+    }
+  }
+
+  // Login with identifier (email, phone or username) + password
+  async loginWithPassword(identifier, password, deviceInfo, ipAddress) {
+    try {
+      const user = await User.findByCredentials(identifier, password);
+
+      // Same error for unknown users and passwordless accounts, so the
+      // endpoint can't be used to discover which identifiers exist
+      if (!user || !user.passwordHash) {
+        throw new Error('Invalid identifier or password');
+      }
+
+      if (user.isAccountLocked()) {
+        throw this.accountLockedError(user.lockUntil);
+      }
+
+      const isValid = await bcrypt.compare(password, user.passwordHash);
+
+      if (!isValid) {
+        await user.incrementLoginAttempts();
+
+        // The attempt we just counted may have been the one that locks the account
+        const updatedUser = await User.findById(user._id).select('lockUntil');
+        if (updatedUser && updatedUser.isAccountLocked()) {
+          console.warn(`🔒 Account locked after failed password logins: ${user._id}`);
+          throw this.accountLockedError(updatedUser.lockUntil);
+        }
+
+        throw new Error('Invalid identifier or password');
+      }
+
+      if (user.loginAttempts > 0 || user.lockUntil) {
+        await user.resetLoginAttempts();
+      }
+
+      await User.updateOne({ _id: user._id }, { $set: { lastLoginAt: new Date() } });
+
+      console.log(`🔑 Password login for user ${user._id}`);
+
+      // Generate session and tokens (or pause for the second factor)
+      return await this.completeLogin(user, deviceInfo, ipAddress);
+
+    } catch (error) {
+      console.error('Password login error:', error.message);
+      throw error;
+    }
+  }
+
+  // Build the error returned while an account is locked out
+  accountLockedError(lockUntil) {
+    const minutesLeft = Math.max(1, Math.ceil((new Date(lockUntil) - Date.now()) / 60000));
+    const error = new Error(`Account locked due to too many failed login attempts. Try again in ${minutesLeft} minutes`);
+    error.lockUntil = lockUntil;
+    return error;
+  }
+
+  // Final step of every login method: issue tokens, unless the account has
+  // two-factor auth on, in which case hand back a short-lived challenge token
+  async completeLogin(user, deviceInfo, ipAddress) {
+    if (this.isTwoFactorRequired(user)) {
+      const challengeToken = jwtService.generateTempToken({
+        userId: user._id,
+        purpose: 'two_factor_login',
+        deviceId: deviceInfo.deviceId
+      });
+
+      console.log(`🛡️ Two-factor challenge issued for user ${user._id}`);
+
+      return {
+        success: true,
+        nextStep: 'verify_2fa',
+        challengeToken,
+        methods: ['totp', 'recovery_code'],
+        user: {
+          id: user._id,
+          username: user.username
+        },
+        message: 'Two-factor authentication required'
+      };
+    }
+
+    const accountRestored = await this.cancelAccountDeletion(user);
+    const sessionResult = await this.createUserSession(user, deviceInfo, ipAddress);
+
+    return {
+      success: true,
+      nextStep: 'complete',
+      user: this.sanitizeUser(user),
+      tokens: sessionResult.tokens,
+      session: {
+        deviceId: sessionResult.session.deviceId,
+        expiresAt: sessionResult.session.expiresAt
+      },
+      ...(accountRestored && { accountRestored: true }),
+      message: accountRestored
+        ? 'Authentication successful. Your account deletion has been cancelled'
+        : 'Authentication successful'
+    };
+  }
+
+  isTwoFactorRequired(user) {
+    return !!(config.get('features.enableTwoFactorAuth') && user.twoFactor?.enabled);
+  }
+
+  assertTwoFactorFeatureEnabled() {
+    if (!config.get('features.enableTwoFactorAuth')) {
+      throw new Error('Two-factor authentication is not enabled on this server');
+    }
+  }
+
+  // Load a user together with the hidden two-factor fields
+  async findUserWithTwoFactor(userId) {
+    const user = await User.findById(userId)
+      .select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user || !user.isActive) {
+      throw new Error('User not found');
+    }
+
+    return user;
+  }
+
+  // Check a TOTP code or consume a recovery code. Saves the user on success.
+  async verifySecondFactor(user, code, recoveryCode) {
+    if (code) {
+      const secret = totpService.decryptSecret(user.twoFactor.secret);
+      const step = totpService.verifyCode(secret, code, user.twoFactor.lastUsedStep);
+      if (step === null) return false;
+
+      // Conditional so two requests can't both use the same step
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      return result.modifiedCount === 1;
+    }
+
+    if (recoveryCode) {
+      const hash = totpService.hashRecoveryCode(recoveryCode);
+      if (!user.twoFactor.recoveryCodes.includes(hash)) return false;
+
+      // Only the request that actually removes the code may use it
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+      );
+      if (result.modifiedCount === 0) return false;
+
+      console.log(`🛡️ Recovery code used by user ${user._id} (${user.twoFactor.recoveryCodes.length - 1} left)`);
+      return true;
+    }
+
+    return false;
+  }
+
+  // Finish a login that paused at the two-factor challenge
+  async verifyTwoFactorLogin(challengeToken, code, recoveryCode, deviceInfo, ipAddress) {
+    try {
+      const decoded = jwtService.verifyTempToken(challengeToken);
+
+      if (decoded.purpose !== 'two_factor_login') {
+        throw new Error('Invalid temporary token purpose');
+      }
+
+      if (decoded.deviceId && decoded.deviceId !== deviceInfo.deviceId) {
+        throw new Error('Invalid challenge for this device');
+      }
+
+      const user = await this.findUserWithTwoFactor(decoded.userId);
+
+      if (!user.twoFactor.enabled) {
+        throw new Error('Two-factor authentication is not enabled for this account');
+      }
+
+      if (user.isAccountLocked()) {
+        throw this.accountLockedError(user.lockUntil);
+      }
+
+      const isValid = await this.verifySecondFactor(user, code, recoveryCode);
+
+      if (!isValid) {
+        await user.incrementLoginAttempts();
+        throw new Error('Invalid two-factor code');
+      }
+
+      if (user.loginAttempts > 0 || user.lockUntil) {
+        await user.resetLoginAttempts();
+      }
+
+      const accountRestored = await this.cancelAccountDeletion(user);
+      const sessionResult = await this.createUserSession(user, deviceInfo, ipAddress);
+
+      console.log(`🛡️ Two-factor login completed for user ${user._id}`);
+
       return {
         success: true,
         nextStep: 'complete',
-        user: this.sanitizeUser(existingUser),
+        user: this.sanitizeUser(user),
         tokens: sessionResult.tokens,
         session: {
           deviceId: sessionResult.session.deviceId,
           expiresAt: sessionResult.session.expiresAt
         },
-        message: 'Authentication successful'
+        ...(accountRestored && { accountRestored: true }),
+        message: accountRestored
+          ? 'Authentication successful. Your account deletion has been cancelled'
+          : 'Authentication successful'
       };
 
     } catch (error) {
-      console.error('OTP verification error:', error.message);
+      console.error('Two-factor login error:', error.message);
+      throw error;
+    }
+  }
+
+  // Start TOTP enrollment: returns the secret and otpauth:// URI for the QR code
+  async setupTwoFactor(userId) {
+    try {
+      this.assertTwoFactorFeatureEnabled();
+
+      const user = await this.findUserWithTwoFactor(userId);
+
+      if (user.twoFactor.enabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      const secret = totpService.generateSecret();
+      user.twoFactor.pendingSecret = totpService.encryptSecret(secret);
+      await user.save();
+
+      const accountName = user.username || user.email || user.phone || user._id.toString();
+
+      return {
+        success: true,
+        secret,
+        otpauthUrl: totpService.buildOtpauthUrl(secret, accountName),
+        nextStep: 'confirm_2fa',
+        message: 'Scan the QR code with your authenticator app, then confirm with a code'
+      };
+
+    } catch (error) {
+      console.error('Two-factor setup error:', error.message);
+      throw error;
+    }
+  }
+
+  // Confirm enrollment with the first code and hand out recovery codes
+  async enableTwoFactor(userId, code) {
+    try {
+      this.assertTwoFactorFeatureEnabled();
+
+      const user = await this.findUserWithTwoFactor(userId);
+
+      if (user.twoFactor.enabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      if (!user.twoFactor.pendingSecret) {
+        throw new Error('Two-factor setup has not been started');
+      }
+
+      const secret = totpService.decryptSecret(user.twoFactor.pendingSecret);
+      const step = totpService.verifyCode(secret, code);
+
+      if (step === null) {
+        throw new Error('Invalid two-factor code');
+      }
+
+      const recoveryCodes = totpService.generateRecoveryCodes();
+
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = null;
+      user.twoFactor.lastUsedStep = step;
+      user.twoFactor.recoveryCodes = recoveryCodes.map(rc => totpService.hashRecoveryCode(rc));
+      user.twoFactor.enabled = true;
+      user.twoFactor.enabledAt = new Date();
+      await user.save();
+
+      console.log(`🛡️ Two-factor enabled for user ${user._id}`);
+
+      return {
+        success: true,
+        recoveryCodes,
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe'
+      };
+
+    } catch (error) {
+      console.error('Two-factor enable error:', error.message);
+      throw error;
+    }
+  }
+
+  // Turn two-factor auth off (requires a current code or a recovery code)
+  async disableTwoFactor(userId, code, recoveryCode) {
+    try {
+      const user = await this.findUserWithTwoFactor(userId);
+
+      if (!user.twoFactor.enabled) {
+        throw new Error('Two-factor authentication is not enabled for this account');
+      }
+
+      const isValid = await this.verifySecondFactor(user, code, recoveryCode);
+      if (!isValid) {
+        throw new Error('Invalid two-factor code');
+      }
+
+      user.twoFactor.enabled = false;
+      user.twoFactor.secret = null;
+      user.twoFactor.pendingSecret = null;
+      user.twoFactor.recoveryCodes = [];
+      user.twoFactor.lastUsedStep = 0;
+      user.twoFactor.enabledAt = null;
+      await user.save();
+
+      console.log(`🛡️ Two-factor disabled for user ${user._id}`);
+
+      return {
+        success: true,
+        message: 'Two-factor authentication disabled'
+      };
+
+    } catch (error) {
+      console.error('Two-factor disable error:', error.message);
+      throw error;
+    }
+  }
+
+  // Replace all recovery codes (requires a current TOTP code)
+  async regenerateRecoveryCodes(userId, code) {
+    try {
+      const user = await this.findUserWithTwoFactor(userId);
+
+      if (!user.twoFactor.enabled) {
+        throw new Error('Two-factor authentication is not enabled for this account');
+      }
+
+      const isValid = await this.verifySecondFactor(user, code, null);
+      if (!isValid) {
+        throw new Error('Invalid two-factor code');
+      }
+
+      const recoveryCodes = totpService.generateRecoveryCodes();
+      user.twoFactor.recoveryCodes = recoveryCodes.map(rc => totpService.hashRecoveryCode(rc));
+      await user.save();
+
+      return {
+        success: true,
+        recoveryCodes,
+        message: 'New recovery codes generated. Previous codes no longer work'
+      };
+
+    } catch (error) {
+      console.error('Recovery code regeneration error:', error.message);
       throw error;
     }
   }
 
+  // Two-factor status for the settings screen
+  async getTwoFactorStatus(userId) {
+    const user = await this.findUserWithTwoFactor(userId);
+
+    return {
+      success: true,
+      available: !!config.get('features.enableTwoFactorAuth'),
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+    };
+  }
+
   // Create new user (EMAIL + PHONE)
   async createNewUser(method, identifier, otpResult) {
     try {
@@ -305,51 +726,287 @@ async loginWithFirebase(idToken, deviceInfo, ipAddress) {
     }
   }
 
-  // Create username and password
-  async createUsernameAndPassword(tempToken, username, password, deviceInfo, ipAddress) {
+  // ===== LINKED SIGN-IN METHODS =====
+
+  // Sign-in methods linked to an account
+  async getAuthMethods(userId) {
     try {
-      // Verify temp token
-      const decoded = jwtService.verifyTempToken(tempToken);
-      
-      if (decoded.purpose !== 'username_creation') {
-        throw new Error('Invalid temporary token purpose');
-      }
+      const user = await User.findById(userId);
 
-      // Get user
-      const user = await User.findById(decoded.userId);
-      if (!user) {
+      if (!user || !user.isActive) {
         throw new Error('User not found');
       }
 
-      // Check if username already set
-      if (user.username) {
-        throw new Error('Username already set for this user');
-      }
+      return {
+        success: true,
+        methods: user.authMethods.map(am => ({
+          id: am._id,
+          type: am.type,
+          identifier: am.identifier,
+          verified: am.verified,
+          verifiedAt: am.verifiedAt,
+          isPrimary: (am.type === 'email' && am.identifier === user.email) ||
+            (am.type === 'phone' && am.identifier === user.phone)
+        }))
+      };
 
-      // Check username availability
-      const existingUser = await User.findOne({ 
-        username: username.toLowerCase(),
-        isActive: true 
+    } catch (error) {
+      console.error('Get auth methods error:', error.message);
+      throw error;
+    }
+  }
+
+  // Make sure an identity isn't already linked, here or to another account
+  async assertAuthMethodAvailable(user, type, identifier) {
+    const alreadyLinked = user.authMethods.some(
+      am => am.type === type && am.identifier === identifier && am.verified
+    );
+    if (alreadyLinked) {
+      throw new Error('This sign-in method is already linked to your account');
+    }
+
+    const owner = await User.findByAuthMethod(type, identifier);
+    if (owner && !owner._id.equals(user._id)) {
+      throw new Error('This sign-in method is already linked to another account');
+    }
+  }
+
+  // Add (or mark verified) an auth method and fill the main email/phone if empty
+  async addVerifiedAuthMethod(user, type, identifier) {
+    const existingMethod = user.authMethods.find(
+      am => am.type === type && am.identifier === identifier
+    );
+
+    if (existingMethod) {
+      existingMethod.verified = true;
+      existingMethod.verifiedAt = new Date();
+    } else {
+      user.authMethods.push({
+        type,
+        identifier,
+        verified: true,
+        verifiedAt: new Date()
       });
-      
-      if (existingUser) {
-        throw new Error('Username already exists');
-      }
+    }
 
-      // Validate username
-      if (!/^[a-zA-Z0-9_]{3,20}$/.test(username)) {
-        throw new Error('Username must be 3-20 characters, alphanumeric and underscores only');
-      }
+    if (type === 'email' && !user.email) {
+      user.email = identifier;
+    } else if (type === 'phone' && !user.phone) {
+      user.phone = identifier;
+    }
 
-      // Validate password
-      if (password.length < 6) {
-        throw new Error('Password must be at least 6 characters long');
+    try {
+      await user.save();
+    } catch (error) {
+      // Unique email/phone index: someone else claimed it in the meantime
+      if (error.code === 11000) {
+        throw new Error('This sign-in method is already linked to another account');
       }
+      throw error;
+    }
 
-      console.log(`Username created for user: ${user._id}`);
+    return user.authMethods.find(am => am.type === type && am.identifier === identifier);
+  }
 
-      // Hash password and set username
-      const passwordHash = await bcrypt.hash(password, 12);
+  // Send a verification code to an email or phone the user wants to link
+  async initiateAuthMethodLink(userId, method, identifier, ipAddress) {
+    try {
+      const user = await User.findById(userId);
+
+      if (!user || !user.isActive) {
+        throw new Error('User not found');
+      }
+
+      await this.assertAuthMethodAvailable(user, method, identifier);
+
+      if (method === 'email') {
+        await customOTPService.sendEmailOTP(identifier, 'verification', user._id, ipAddress);
+      } else {
+        await customOTPService.sendSMSOTP(identifier, 'verification', user._id, ipAddress);
+      }
+
+      return {
+        success: true,
+        method,
+        identifier,
+        nextStep: 'verify_otp',
+        message: `Verification code sent to ${identifier}`
+      };
+
+    } catch (error) {
+      console.error('Link auth method error:', error.message);
+      throw error;
+    }
+  }
+
+  // Confirm the code and link the email/phone
+  async verifyAuthMethodLink(userId, method, identifier, otp, ipAddress) {
+    try {
+      const user = await User.findById(userId);
+
+      if (!user || !user.isActive) {
+        throw new Error('User not found');
+      }
+
+      const otpResult = await customOTPService.verifyOTP(identifier, otp, 'verification', ipAddress);
+
+      // The code must have been requested by this account
+      if (!otpResult.userId || !user._id.equals(otpResult.userId)) {
+        throw new Error('Invalid or expired OTP');
+      }
+
+      await this.assertAuthMethodAvailable(user, method, identifier);
+      const linked = await this.addVerifiedAuthMethod(user, method, identifier);
+
+      console.log(`🔗 Linked ${method} to user ${user._id}`);
+
+      return {
+        success: true,
+        method: {
+          id: linked._id,
+          type: linked.type,
+          identifier: linked.identifier,
+          verified: linked.verified,
+          verifiedAt: linked.verifiedAt
+        },
+        message: `${method === 'email' ? 'Email' : 'Phone number'} linked successfully`
+      };
+
+    } catch (error) {
+      console.error('Verify auth method link error:', error.message);
+      throw error;
+    }
+  }
+
+  // Attach a Google/Facebook identity (by Firebase uid) to the account
+  async linkFirebaseIdentity(userId, idToken) {
+    try {
+      const user = await User.findById(userId);
+
+      if (!user || !user.isActive) {
+        throw new Error('User not found');
+      }
+
+      const decodedToken = await firebaseConfig.verifyIdToken(idToken);
+      const type = FIREBASE_PROVIDER_TYPES[decodedToken.firebase?.sign_in_provider];
+
+      if (!type) {
+        throw new Error('Unsupported identity provider. Sign in with Google or Facebook to link it');
+      }
+
+      await this.assertAuthMethodAvailable(user, type, decodedToken.uid);
+      const linked = await this.addVerifiedAuthMethod(user, type, decodedToken.uid);
+
+      console.log(`🔗 Linked ${type} identity to user ${user._id}`);
+
+      return {
+        success: true,
+        method: {
+          id: linked._id,
+          type: linked.type,
+          identifier: linked.identifier,
+          verified: linked.verified,
+          verifiedAt: linked.verifiedAt
+        },
+        message: `${type === 'google' ? 'Google' : 'Facebook'} account linked successfully`
+      };
+
+    } catch (error) {
+      console.error('Link Firebase identity error:', error.message);
+      throw error;
+    }
+  }
+
+  // Remove a sign-in method; the last verified one can't be removed
+  async unlinkAuthMethod(userId, methodId) {
+    try {
+      const user = await User.findById(userId);
+
+      if (!user || !user.isActive) {
+        throw new Error('User not found');
+      }
+
+      const method = user.authMethods.id(methodId);
+      if (!method) {
+        throw new Error('Auth method not found');
+      }
+
+      const otherVerified = user.authMethods.filter(
+        am => am.verified && !am._id.equals(method._id)
+      );
+      if (otherVerified.length === 0) {
+        throw new Error('Cannot remove your last verified sign-in method');
+      }
+
+      const { type, identifier } = method;
+      user.authMethods.pull(method._id);
+
+      // Promote another verified email/phone to the main field, or clear it
+      if (type === 'email' && user.email === identifier) {
+        user.email = otherVerified.find(am => am.type === 'email')?.identifier || undefined;
+      } else if (type === 'phone' && user.phone === identifier) {
+        user.phone = otherVerified.find(am => am.type === 'phone')?.identifier || undefined;
+      }
+
+      await user.save();
+
+      console.log(`🔗 Unlinked ${type} from user ${user._id}`);
+
+      return {
+        success: true,
+        methodId,
+        message: 'Sign-in method removed'
+      };
+
+    } catch (error) {
+      console.error('Unlink auth method error:', error.message);
+      throw error;
+    }
+  }
+
+  // Create username and password
+  async createUsernameAndPassword(tempToken, username, password, deviceInfo, ipAddress) {
+    try {
+      // Verify temp token
+      const decoded = jwtService.verifyTempToken(tempToken);
+      
+      if (decoded.purpose !== 'username_creation') {
+        throw new Error('Invalid temporary token purpose');
+      }
+
+      // Get user
+      const user = await User.findById(decoded.userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      // Check if username already set
+      if (user.username) {
+        throw new Error('Username already set for this user');
+      }
+
+      // Check username availability
+      const existingUser = await User.findOne({ 
+        username: username.toLowerCase(),
+        isActive: true 
+      });
+      
+      if (existingUser) {
+        throw new Error('Username already exists');
+      }
+
+      // Validate username
+      if (!/^[a-zA-Z0-9_]{3,20}$/.test(username)) {
+        throw new Error('Username must be 3-20 characters, alphanumeric and underscores only');
+      }
+
+      // Validate password
+      this.validatePassword(password);
+
+      console.log(`Username created for user: ${user._id}`);
+
+      // Hash password and set username
+      const passwordHash = await bcrypt.hash(password, 12);
       user.username = username;
       user.passwordHash = passwordHash;
       user.updatedAt = new Date();
@@ -376,22 +1033,103 @@ async loginWithFirebase(idToken, deviceInfo, ipAddress) {
     }
   }
 
+  // Validate a new password
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < 6) {
+      throw new Error('Password must be at least 6 characters long');
+    }
+  }
+
+  // Start password reset by sending a 'password_reset' OTP
+  async requestPasswordReset(identifier, method, ipAddress) {
+    try {
+      const user = await User.findByAuthMethod(method, identifier);
+
+      // Respond the same way whether or not the account exists
+      if (user) {
+        if (method === 'email') {
+          await customOTPService.sendEmailOTP(identifier, 'password_reset', user._id, ipAddress);
+        } else if (method === 'phone') {
+          await customOTPService.sendSMSOTP(identifier, 'password_reset', user._id, ipAddress);
+        }
+        console.log(`🔑 Password reset requested for user ${user._id}`);
+      } else {
+        console.log(`🔑 Password reset requested for unknown ${method}: ${identifier}`);
+      }
+
+      return {
+        success: true,
+        method,
+        identifier,
+        nextStep: 'reset_password',
+        message: `If an account exists for ${identifier}, a reset code has been sent`
+      };
+
+    } catch (error) {
+      console.error('Password reset request error:', error.message);
+      throw error;
+    }
+  }
+
+  // Verify the reset OTP, set the new password and log out every device
+  async resetPassword(identifier, otp, newPassword, ipAddress) {
+    try {
+      // Validate before consuming the OTP so a weak password doesn't burn the code
+      this.validatePassword(newPassword);
+
+      const otpResult = await customOTPService.verifyOTP(
+        identifier,
+        otp,
+        'password_reset',
+        ipAddress
+      );
+
+      const user = otpResult.userId ? await User.findById(otpResult.userId) : null;
+      if (!user || !user.isActive) {
+        throw new Error('User not found');
+      }
+
+      user.passwordHash = await bcrypt.hash(newPassword, config.get('security.bcryptSaltRounds'));
+      user.loginAttempts = 0;
+      user.lockUntil = null;
+      await user.save();
+
+      await this.revokeAllSessions(user._id, null, 'password_reset');
+
+      console.log(`🔑 Password reset completed for user ${user._id}`);
+
+      return {
+        success: true,
+        message: 'Password reset successfully. Please log in with your new password'
+      };
+
+    } catch (error) {
+      console.error('Password reset error:', error.message);
+      throw error;
+    }
+  }
+
   // Create user session
   async createUserSession(user, deviceInfo, ipAddress) {
     try {
+      const refreshPayload = {
+        userId: user._id,
+        deviceId: deviceInfo.deviceId,
+        tokenId: crypto.randomBytes(16).toString('hex'),
+        familyId: crypto.randomBytes(16).toString('hex')
+      };
+      const accessTokenId = crypto.randomBytes(16).toString('hex');
+
       // Generate tokens
       const accessToken = jwtService.generateAccessToken({
         userId: user._id,
         username: user.username,
         email: user.email,
-        isVerified: user.isVerified
-      });
-
-      const refreshPayload = {
-        userId: user._id,
+        isVerified: user.isVerified,
         deviceId: deviceInfo.deviceId,
-        tokenId: crypto.randomBytes(16).toString('hex')
-      };
+        sessionId: refreshPayload.familyId,
+        jti: accessTokenId
+      });
 
       const refreshToken = jwtService.generateRefreshToken(refreshPayload);
 
@@ -407,13 +1145,22 @@ async loginWithFirebase(idToken, deviceInfo, ipAddress) {
         },
         accessToken: accessToken,
         refreshToken: refreshToken,
+        tokenFamily: refreshPayload.familyId,
+        currentTokenId: refreshPayload.tokenId,
+        accessTokenId,
         ipAddress: ipAddress,
+        userAgent: deviceInfo.userAgent || '',
         isActive: true,
         lastActivity: new Date(),
         expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
       };
 
       // Deactivate other sessions for this device
+      const replacedSessions = await this.findSessionsToRevoke({
+        userId: user._id,
+        deviceId: deviceInfo.deviceId
+      });
+
       await Session.updateMany(
         { 
           userId: user._id, 
@@ -421,15 +1168,20 @@ async loginWithFirebase(idToken, deviceInfo, ipAddress) {
           isActive: true 
         },
         { 
-          $set: { isActive: false } 
+          $set: { isActive: false, revokedAt: new Date(), revokedReason: 'replaced' } 
         }
       );
 
+      await this.invalidateSessionTokens(replacedSessions);
+
       // Create new session
       const session = await Session.create(sessionData);
       
       console.log(`✅ Session created for user ${user._id}, device: ${deviceInfo.deviceId}`);
 
+      // Compare with earlier sessions and alert on new devices/locations (in the background)
+      securityAlertService.checkLogin(user, session);
+
       return {
         tokens: {
           accessToken,
@@ -449,24 +1201,11 @@ async loginWithFirebase(idToken, deviceInfo, ipAddress) {
     }
   }
 
-  // Refresh access token
-  async refreshAccessToken(refreshToken) {
+  // Refresh access token (rotates the refresh token within its family)
+  async refreshAccessToken(refreshToken, ipAddress = '127.0.0.1', userAgent = '') {
     try {
       // Verify refresh token
       const decoded = jwtService.verifyRefreshToken(refreshToken);
-      
-      // Find active session
-      const session = await Session.findOne({
-        userId: decoded.userId,
-        deviceId: decoded.deviceId,
-        refreshToken: refreshToken,
-        isActive: true,
-        expiresAt: { $gt: new Date() }
-      });
-
-      if (!session) {
-        throw new Error('Invalid or expired refresh token');
-      }
 
       // Get user
       const user = await User.findById(decoded.userId);
@@ -474,27 +1213,66 @@ async loginWithFirebase(idToken, deviceInfo, ipAddress) {
         throw new Error('User not found');
       }
 
+      // Tokens issued before lineage tracking have no family yet; start one now
+      const familyId = decoded.familyId || crypto.randomBytes(16).toString('hex');
+      const newTokenId = crypto.randomBytes(16).toString('hex');
+      const newAccessTokenId = crypto.randomBytes(16).toString('hex');
+
       // Generate new tokens
       const newAccessToken = jwtService.generateAccessToken({
         userId: user._id,
         username: user.username,
         email: user.email,
-        isVerified: user.isVerified
+        isVerified: user.isVerified,
+        deviceId: decoded.deviceId,
+        sessionId: familyId,
+        jti: newAccessTokenId
       });
 
-      const newRefreshPayload = {
+      const newRefreshToken = jwtService.generateRefreshToken({
         userId: user._id,
         deviceId: decoded.deviceId,
-        tokenId: crypto.randomBytes(16).toString('hex')
-      };
+        tokenId: newTokenId,
+        familyId
+      });
 
-      const newRefreshToken = jwtService.generateRefreshToken(newRefreshPayload);
+      // Only the newest token of a family may be rotated. The check and the
+      // rotation happen in one atomic update so two requests can't both win.
+      const currentTokenQuery = decoded.familyId
+        ? { tokenFamily: decoded.familyId, currentTokenId: decoded.tokenId }
+        : { refreshToken };
+
+      // Returns the pre-rotation document so the replaced access token can be denylisted
+      const previousSession = await Session.findOneAndUpdate(
+        {
+          userId: decoded.userId,
+          deviceId: decoded.deviceId,
+          ...currentTokenQuery,
+          isActive: true,
+          expiresAt: { $gt: new Date() }
+        },
+        {
+          $set: {
+            accessToken: newAccessToken,
+            refreshToken: newRefreshToken,
+            tokenFamily: familyId,
+            currentTokenId: newTokenId,
+            accessTokenId: newAccessTokenId,
+            lastActivity: new Date()
+          },
+          $push: {
+            usedTokenIds: { $each: [decoded.tokenId], $slice: -50 }
+          }
+        }
+      );
+
+      if (!previousSession) {
+        await this.detectRefreshTokenReuse(decoded, ipAddress, userAgent);
+        throw new Error('Invalid or expired refresh token');
+      }
 
-      // Update session
-      session.accessToken = newAccessToken;
-      session.refreshToken = newRefreshToken;
-      session.lastActivity = new Date();
-      await session.save();
+      // The access token issued alongside the old refresh token is superseded
+      await cacheService.denylistAccessToken(previousSession.accessTokenId, ACCESS_TOKEN_TTL);
 
       console.log(`🔄 Tokens refreshed for user ${user._id}`);
 
@@ -514,6 +1292,47 @@ async loginWithFirebase(idToken, deviceInfo, ipAddress) {
     }
   }
 
+  // A refresh token that was already rotated is being replayed: someone other
+  // than the legitimate client holds it, so the whole family is revoked.
+  async detectRefreshTokenReuse(decoded, ipAddress, userAgent) {
+    if (!decoded.familyId) return;
+
+    const session = await Session.findOne({
+      userId: decoded.userId,
+      tokenFamily: decoded.familyId,
+      usedTokenIds: decoded.tokenId
+    });
+
+    if (!session) return;
+
+    await Session.updateOne(
+      { _id: session._id },
+      { $set: { isActive: false, revokedAt: new Date(), revokedReason: 'refresh_token_reuse' } }
+    );
+
+    await this.invalidateSessionTokens([session]);
+
+    socketSessions.disconnectSession(decoded.userId, decoded.deviceId, 'refresh_token_reuse');
+
+    await SecurityEvent.record({
+      userId: decoded.userId,
+      type: 'refresh_token_reuse',
+      severity: 'high',
+      deviceId: decoded.deviceId,
+      ipAddress,
+      userAgent,
+      metadata: {
+        tokenFamily: decoded.familyId,
+        reusedTokenId: decoded.tokenId,
+        sessionWasActive: session.isActive
+      }
+    });
+
+    console.warn(`🚨 Refresh token reuse detected for user ${decoded.userId}, device: ${decoded.deviceId}`);
+
+    throw new Error('Refresh token reuse detected. Session revoked, please log in again');
+  }
+
   // Check username availability
   async checkUsernameAvailability(username) {
     try {
@@ -603,6 +1422,8 @@ async loginWithFirebase(idToken, deviceInfo, ipAddress) {
   // Logout user
   async logoutUser(userId, deviceId) {
     try {
+      const sessions = await this.findSessionsToRevoke({ userId, deviceId });
+
       // Deactivate session
       await Session.updateMany(
         { 
@@ -613,11 +1434,16 @@ async loginWithFirebase(idToken, deviceInfo, ipAddress) {
         { 
           $set: { 
             isActive: false,
+            revokedAt: new Date(),
+            revokedReason: 'logout',
             updatedAt: new Date()
           } 
         }
       );
 
+      await this.invalidateSessionTokens(sessions);
+      socketSessions.disconnectSession(userId, deviceId, 'logout');
+
       console.log(`👋 User ${userId} logged out from device: ${deviceId}`);
 
       return {
@@ -631,6 +1457,458 @@ async loginWithFirebase(idToken, deviceInfo, ipAddress) {
     }
   }
 
+  // List active sessions (logged-in devices) for a user
+  async getUserSessions(userId, currentDeviceId) {
+    try {
+      const sessions = await Session.find({
+        userId,
+        isActive: true,
+        expiresAt: { $gt: new Date() }
+      }).sort({ lastActivity: -1 });
+
+      return {
+        success: true,
+        sessions: sessions.map(session => ({
+          deviceId: session.deviceId,
+          deviceInfo: session.deviceInfo,
+          ipAddress: session.ipAddress,
+          userAgent: session.userAgent,
+          location: session.location,
+          lastActivity: session.lastActivity,
+          createdAt: session.createdAt,
+          expiresAt: session.expiresAt,
+          isCurrent: session.deviceId === currentDeviceId
+        }))
+      };
+
+    } catch (error) {
+      console.error('Get sessions error:', error.message);
+      throw error;
+    }
+  }
+
+  // Revoke a single device session
+  async revokeSession(userId, deviceId, reason = 'revoked') {
+    try {
+      const sessions = await this.findSessionsToRevoke({ userId, deviceId });
+
+      const result = await Session.updateMany(
+        { userId, deviceId, isActive: true },
+        { $set: { isActive: false, revokedAt: new Date(), revokedReason: reason } }
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new Error('Session not found');
+      }
+
+      await this.invalidateSessionTokens(sessions);
+      socketSessions.disconnectSession(userId, deviceId, reason);
+
+      console.log(`🚫 Session revoked for user ${userId}, device: ${deviceId} (${reason})`);
+
+      return {
+        success: true,
+        deviceId,
+        message: 'Session revoked successfully'
+      };
+
+    } catch (error) {
+      console.error('Revoke session error:', error.message);
+      throw error;
+    }
+  }
+
+  // "This wasn't me" link from a login alert: sign the reported session out.
+  // The link names one session (resourceId) and works once.
+  async reportUnrecognizedLogin(token, ipAddress) {
+    try {
+      const decoded = jwtService.verifyTempToken(token);
+
+      if (decoded.purpose !== 'not_me' || !decoded.jti || !mongoose.isValidObjectId(decoded.resourceId)) {
+        throw new Error('Invalid temporary token purpose');
+      }
+
+      const ttl = decoded.exp - Math.floor(Date.now() / 1000);
+      if (!(await cacheService.claimTokenUse(decoded.jti, ttl))) {
+        throw new Error('Invalid temporary token: link already used');
+      }
+
+      const reason = 'reported_by_user';
+      let session;
+      try {
+        session = await Session.findOneAndUpdate(
+          { _id: decoded.resourceId, userId: decoded.userId, isActive: true },
+          { $set: { isActive: false, revokedAt: new Date(), revokedReason: reason } },
+          { new: true }
+        ).select('tokenFamily accessTokenId deviceId');
+
+        if (session) {
+          await this.invalidateSessionTokens([session]);
+        }
+      } catch (error) {
+        // Give the link back so the user can retry; it's their only one
+        await cacheService.releaseTokenUse(decoded.jti);
+        throw error;
+      }
+
+      // No match means that session was already signed out
+      const revoked = Boolean(session);
+      if (session) {
+        socketSessions.disconnectSession(decoded.userId, session.deviceId, reason);
+      }
+
+      await SecurityEvent.record({
+        userId: decoded.userId,
+        type: 'login_reported',
+        severity: 'high',
+        deviceId: decoded.deviceId,
+        ipAddress,
+        metadata: { sessionId: decoded.resourceId, revoked }
+      });
+
+      console.log(`🚨 User ${decoded.userId} reported the login of session ${decoded.resourceId}`);
+
+      return {
+        success: true,
+        revoked,
+        deviceId: decoded.deviceId,
+        message: revoked
+          ? 'That session has been signed out. Change your password and review your devices'
+          : 'That session was already signed out. Change your password and review your devices'
+      };
+
+    } catch (error) {
+      console.error('Report login error:', error.message);
+      throw error;
+    }
+  }
+
+  // Recent security events (login alerts, token reuse, role changes)
+  async getSecurityEvents(userId, { limit = 20, before = null } = {}) {
+    try {
+      const filter = { userId };
+      if (before) {
+        filter.createdAt = { $lt: new Date(before) };
+      }
+
+      const events = await SecurityEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit);
+
+      return {
+        success: true,
+        events: events.map(event => ({
+          id: event._id,
+          type: event.type,
+          severity: event.severity,
+          deviceId: event.deviceId,
+          ipAddress: event.ipAddress,
+          userAgent: event.userAgent,
+          metadata: event.metadata,
+          createdAt: event.createdAt
+        })),
+        hasMore: events.length === limit,
+        nextCursor: events.length === limit ? events[events.length - 1].createdAt : null
+      };
+
+    } catch (error) {
+      console.error('Get security events error:', error.message);
+      throw error;
+    }
+  }
+
+  // Revoke every session of a user, optionally keeping the current device
+  async revokeAllSessions(userId, excludeDeviceId = null, reason = 'revoked') {
+    try {
+      const sessions = await this.findSessionsToRevoke(
+        excludeDeviceId ? { userId, deviceId: { $ne: excludeDeviceId } } : { userId }
+      );
+
+      const result = await Session.deactivateUserSessions(userId, excludeDeviceId, reason);
+
+      await this.invalidateSessionTokens(sessions);
+      await socketSessions.disconnectUserSessions(userId, excludeDeviceId, reason);
+
+      console.log(`🚫 Revoked ${result.modifiedCount} session(s) for user ${userId} (${reason})`);
+
+      return {
+        success: true,
+        revokedCount: result.modifiedCount,
+        message: excludeDeviceId ? 'Logged out from all other devices' : 'Logged out from all devices'
+      };
+
+    } catch (error) {
+      console.error('Revoke all sessions error:', error.message);
+      throw error;
+    }
+  }
+
+  // ===== CONTACT (EMAIL / PHONE) CHANGE =====
+
+  async assertContactAvailable(user, method, identifier) {
+    const owner = await User.findByAuthMethod(method, identifier);
+    if (owner && !owner._id.equals(user._id)) {
+      throw new Error(`This ${method === 'email' ? 'email' : 'phone number'} is already in use by another account`);
+    }
+  }
+
+  // Start changing the account email or phone: a code goes to the new
+  // address and a heads-up to the old one. Nothing changes until confirmed.
+  async requestContactChange(userId, method, newIdentifier, ipAddress) {
+    try {
+      const user = await User.findById(userId);
+
+      if (!user || !user.isActive) {
+        throw new Error('User not found');
+      }
+
+      const oldIdentifier = user[method] || null;
+
+      if (oldIdentifier === newIdentifier) {
+        throw new Error(`This is already your ${method === 'email' ? 'email' : 'phone number'}`);
+      }
+
+      await this.assertContactAvailable(user, method, newIdentifier);
+
+      const stored = await cacheService.set(
+        `contact_change:${user._id}:${method}`,
+        { newIdentifier, oldIdentifier },
+        CONTACT_CHANGE_TTL
+      );
+      if (!stored) {
+        throw new Error('Contact change is temporarily unavailable. Please try again later');
+      }
+
+      if (method === 'email') {
+        await customOTPService.sendEmailOTP(newIdentifier, 'verification', user._id, ipAddress);
+      } else {
+        await customOTPService.sendSMSOTP(newIdentifier, 'verification', user._id, ipAddress);
+      }
+
+      if (oldIdentifier) {
+        try {
+          await customOTPService.sendContactChangeNotice(method, oldIdentifier, newIdentifier);
+        } catch (error) {
+          console.error('Contact change notice error:', error.message);
+        }
+      }
+
+      console.log(`✉️ ${method} change requested for user ${user._id}`);
+
+      return {
+        success: true,
+        method,
+        identifier: newIdentifier,
+        nextStep: 'verify_otp',
+        message: `Verification code sent to ${newIdentifier}`
+      };
+
+    } catch (error) {
+      console.error('Contact change request error:', error.message);
+      throw error;
+    }
+  }
+
+  // Confirm the code, swap the email/phone (and its authMethods entry), and
+  // log out every other device
+  async confirmContactChange(userId, currentDeviceId, method, otp, ipAddress) {
+    try {
+      const user = await User.findById(userId);
+
+      if (!user || !user.isActive) {
+        throw new Error('User not found');
+      }
+
+      const cacheKey = `contact_change:${user._id}:${method}`;
+      const pending = await cacheService.get(cacheKey);
+
+      if (!pending) {
+        throw new Error('No pending contact change. Please request a new code');
+      }
+
+      const { newIdentifier, oldIdentifier } = pending;
+      const otpResult = await customOTPService.verifyOTP(newIdentifier, otp, 'verification', ipAddress);
+
+      // The code must have been requested by this account
+      if (!otpResult.userId || !user._id.equals(otpResult.userId)) {
+        throw new Error('Invalid or expired OTP');
+      }
+
+      await this.assertContactAvailable(user, method, newIdentifier);
+
+      const oldEntry = oldIdentifier && user.authMethods.find(
+        am => am.type === method && am.identifier === oldIdentifier
+      );
+      const newEntry = user.authMethods.find(
+        am => am.type === method && am.identifier === newIdentifier
+      );
+
+      if (newEntry) {
+        newEntry.verified = true;
+        newEntry.verifiedAt = new Date();
+        if (oldEntry) user.authMethods.pull(oldEntry._id);
+      } else if (oldEntry) {
+        oldEntry.identifier = newIdentifier;
+        oldEntry.verified = true;
+        oldEntry.verifiedAt = new Date();
+      } else {
+        user.authMethods.push({
+          type: method,
+          identifier: newIdentifier,
+          verified: true,
+          verifiedAt: new Date()
+        });
+      }
+
+      user[method] = newIdentifier;
+
+      try {
+        await user.save();
+      } catch (error) {
+        // Unique email/phone index: someone else claimed it in the meantime
+        if (error.code === 11000) {
+          throw new Error(`This ${method === 'email' ? 'email' : 'phone number'} is already in use by another account`);
+        }
+        throw error;
+      }
+
+      await cacheService.del(cacheKey);
+      const revoked = await this.revokeAllSessions(user._id, currentDeviceId, 'contact_change');
+
+      console.log(`✉️ ${method} changed for user ${user._id}`);
+
+      return {
+        success: true,
+        [method]: newIdentifier,
+        revokedSessions: revoked.revokedCount,
+        message: `${method === 'email' ? 'Email' : 'Phone number'} updated. Other devices have been logged out`
+      };
+
+    } catch (error) {
+      console.error('Contact change confirm error:', error.message);
+      throw error;
+    }
+  }
+
+  // ===== ACCOUNT DELETION =====
+
+  // Schedule the account for deletion after the grace period and log out
+  // every device. Logging back in before then cancels it (see completeLogin).
+  async requestAccountDeletion(userId, reason = '') {
+    try {
+      const user = await User.findById(userId);
+
+      if (!user || !user.isActive) {
+        throw new Error('User not found');
+      }
+
+      if (user.deletion?.scheduledFor) {
+        throw new Error('Account deletion is already scheduled');
+      }
+
+      const graceDays = config.get('account.deletionGraceDays');
+      const scheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+
+      user.deletion = {
+        requestedAt: new Date(),
+        scheduledFor,
+        reason: String(reason || '').slice(0, 500)
+      };
+      user.isOnline = false;
+      await user.save();
+
+      await this.revokeAllSessions(user._id, null, 'account_deletion');
+
+      console.log(`🗑️ Account deletion scheduled for user ${user._id} on ${scheduledFor.toISOString()}`);
+
+      return {
+        success: true,
+        scheduledFor,
+        graceDays,
+        message: `Your account will be permanently deleted in ${graceDays} days. Log in again before then to cancel`
+      };
+
+    } catch (error) {
+      console.error('Account deletion request error:', error.message);
+      throw error;
+    }
+  }
+
+  // Clear a pending deletion. Returns true if one was cancelled. The update
+  // only matches while the account is still active, so it can't race the
+  // purge job (which deactivates the account before deleting anything).
+  async cancelAccountDeletion(user) {
+    if (!user.deletion?.scheduledFor) return false;
+
+    const result = await User.updateOne(
+      { _id: user._id, isActive: true, 'deletion.scheduledFor': { $ne: null } },
+      { $set: { deletion: { requestedAt: null, scheduledFor: null, reason: '' } } }
+    );
+
+    if (result.matchedCount === 0) {
+      const error = new Error('This account is being deleted and can no longer be restored');
+      error.code = 'ACCOUNT_BEING_DELETED';
+      throw error;
+    }
+
+    user.deletion = { requestedAt: null, scheduledFor: null, reason: '' };
+
+    console.log(`♻️ Account deletion cancelled for user ${user._id}`);
+    return true;
+  }
+
+  // Active sessions matching a filter, with the fields needed to invalidate their tokens
+  async findSessionsToRevoke(filter) {
+    return Session.find({ ...filter, isActive: true }).select('tokenFamily accessTokenId');
+  }
+
+  // Push revoked sessions into the cache so their access tokens stop working
+  // now instead of when they expire
+  async invalidateSessionTokens(sessions) {
+    await Promise.all(sessions.map(async (session) => {
+      if (session.tokenFamily) {
+        await cacheService.setSessionState(session.tokenFamily, { active: false }, ACCESS_TOKEN_TTL);
+      }
+      if (session.accessTokenId) {
+        await cacheService.denylistAccessToken(session.accessTokenId, ACCESS_TOKEN_TTL);
+      }
+    }));
+  }
+
+  // Whether a verified access token has been revoked (denylisted jti or a
+  // revoked session). Cache misses fall through to the database, so an empty
+  // or unreachable Redis never lets a revoked session back in.
+  async isAccessTokenRevoked(decoded) {
+    if (!decoded.deviceId) return true;
+
+    if (await cacheService.isAccessTokenDenylisted(decoded.jti)) return true;
+
+    // Tokens issued before session IDs were embedded: check the device session directly
+    if (!decoded.sid) {
+      return !(await Session.findActiveSession(decoded.userId, decoded.deviceId));
+    }
+
+    const cached = await cacheService.getSessionState(decoded.sid);
+    if (cached) return !cached.active;
+
+    const session = await Session.findOne({
+      userId: decoded.userId,
+      deviceId: decoded.deviceId,
+      tokenFamily: decoded.sid,
+      isActive: true,
+      expiresAt: { $gt: new Date() }
+    }).select('_id');
+
+    const active = !!session;
+    await cacheService.setSessionState(
+      decoded.sid,
+      { active },
+      active ? SESSION_STATE_CACHE_TTL : ACCESS_TOKEN_TTL
+    );
+
+    return !active;
+  }
+
   // Sanitize user data for response
   sanitizeUser(user) {
     return {
@@ -642,6 +1920,7 @@ async loginWithFirebase(idToken, deviceInfo, ipAddress) {
       avatar: user.avatar,
       bio: user.bio,
       isVerified: user.isVerified,
+      role: user.role,
       settings: user.settings,
       stats: user.stats,
       createdAt: user.createdAt,
@@ -110,6 +110,40 @@ class CacheService {
     }
   }
 
+  // ===== ACCESS TOKEN REVOCATION =====
+  // Revoked access token IDs (jti), kept until the token would have expired
+  async denylistAccessToken(jti, ttl = 900) {
+    if (!jti || ttl <= 0) return false;
+    return this.set(`denylist:jti:${jti}`, true, ttl);
+  }
+
+  async isAccessTokenDenylisted(jti) {
+    if (!jti) return false;
+    return (await this.get(`denylist:jti:${jti}`)) === true;
+  }
+
+  // Single-use links: true the first time a token ID is claimed, false on
+  // every later attempt. Errors propagate so a link can't be replayed while
+  // Redis is unreachable.
+  async claimTokenUse(jti, ttl) {
+    const result = await this.redis.set(`used:jti:${jti}`, "1", "EX", Math.max(ttl, 1), "NX");
+    return result === "OK";
+  }
+
+  async releaseTokenUse(jti) {
+    return this.del(`used:jti:${jti}`);
+  }
+
+  // Cached state of a login session, keyed by its token family. Returns null
+  // on a miss so callers fall back to the database.
+  async getSessionState(sessionId) {
+    return this.get(`session_state:${sessionId}`);
+  }
+
+  async setSessionState(sessionId, state, ttl) {
+    return this.set(`session_state:${sessionId}`, state, ttl);
+  }
+
   async disconnect() {
     try {
       await this.redis.quit();
@@ -1,48 +1,45 @@
 // src/services/customOTPService.js
-const nodemailer = require('nodemailer');
 const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const OTP = require('../models/OTP');
 const cacheService = require('./cacheService');
-const Twilio = require('twilio');
+const otpProviders = require('./otpProviders');
+const config = require('../config');
 
-// 1. ADDED: Brevo Adapter
-const BrevoTransport = require('nodemailer-brevo-transport');
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+// Alert details come partly from the client (device name, platform) and from
+// GeoIP, so everything interpolated into email HTML goes through this
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+
+// Normalise a link for an href: percent-encodes anything the URL parser
+// would, and refuses non-http(s) schemes
+const safeHref = (value) => {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : '#';
+  } catch {
+    return '#';
+  }
+};
 
 class CustomOTPService {
   constructor() {
-    // --- 2. CHANGED: Email transporter setup (Switched from Gmail to Brevo) ---
-    this.emailTransporter = null;
-    
-    // We now check for EMAIL_API_KEY instead of YOUR_EMAIL_APP_PASSWORD
-    if (process.env.EMAIL_API_KEY) {
-      try {
-        this.emailTransporter = nodemailer.createTransport(
-          new BrevoTransport({
-            apiKey: process.env.EMAIL_API_KEY
-          })
-        );
-        console.log('✅ Email Service Ready (via Brevo HTTP)');
-      } catch (err) {
-        console.error('❌ Email Transport Init Failed:', err.message);
-      }
+    // Delivery goes through the providers in services/otpProviders; the order
+    // comes from OTP_EMAIL_PROVIDERS / OTP_SMS_PROVIDERS
+    const emailProviders = otpProviders.getProviders('email').map(p => p.name);
+    const smsProviders = otpProviders.getProviders('sms').map(p => p.name);
+
+    if (emailProviders.length) {
+      console.log(`✅ Email OTP providers: ${emailProviders.join(' → ')}`);
     } else {
-      console.warn('⚠️ EMAIL_API_KEY missing in .env - Email OTP disabled');
+      console.warn('⚠️ No email OTP provider configured - Email OTP disabled');
     }
 
-    // --- SMS setup (KEPT EXACTLY THE SAME) ---
-    this.twilioClient = null;
-    if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_FROM) {
-      try {
-        this.twilioClient = Twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-        this.twilioFrom = process.env.TWILIO_FROM;
-        console.log('✅ Twilio SMS service configured');
-      } catch (e) {
-        this.twilioClient = null;
-        console.warn('⚠️ Twilio initialization failed:', e.message || e);
-      }
+    if (smsProviders.length) {
+      console.log(`✅ SMS OTP providers: ${smsProviders.join(' → ')}`);
     } else {
-      console.warn('⚠️ Twilio credentials not configured - SMS OTP disabled');
+      console.warn('⚠️ No SMS OTP provider configured - SMS OTP disabled');
     }
   }
 
@@ -90,11 +87,18 @@ class CustomOTPService {
     }
   }
 
-  // 📧 EMAIL OTP - Send email OTP
-  async sendEmailOTP(email, purpose = 'login', userId = null, ipAddress = '127.0.0.1') {
+  // Keyed hash of magic link tokens/nonces, so a leaked OTP collection can't be replayed
+  hashMagicLinkSecret(value) {
+    return crypto.createHmac('sha256', config.get('jwt.tempSecret') || 'pulse-magic-link')
+      .update(String(value))
+      .digest('hex');
+  }
+
+  // 📧 EMAIL OTP - Send email OTP (optionally with a magic link bound to options.magicLink.deviceId)
+  async sendEmailOTP(email, purpose = 'login', userId = null, ipAddress = '127.0.0.1', options = {}) {
     try {
-      if (!this.emailTransporter) {
-        throw new Error('Email OTP not configured. Check EMAIL_API_KEY in .env file');
+      if (!otpProviders.isChannelAvailable('email')) {
+        throw new Error('Email OTP not configured. Check OTP_EMAIL_PROVIDERS in .env file');
       }
       
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -105,6 +109,16 @@ class CustomOTPService {
       await this.checkRateLimit(email, 'email');
       const otp = this.generateOTP(6);
       const hashedOTP = await bcrypt.hash(otp, 10);
+
+      // Magic link: the token travels in the email, the nonce stays with the requesting device
+      let magicLink = null;
+      if (options.magicLink && options.magicLink.deviceId) {
+        magicLink = {
+          token: crypto.randomBytes(32).toString('base64url'),
+          nonce: crypto.randomBytes(16).toString('base64url'),
+          deviceId: options.magicLink.deviceId
+        };
+      }
       
       await OTP.create({
         userId,
@@ -112,24 +126,37 @@ class CustomOTPService {
         type: 'email',
         purpose,
         hashedCode: hashedOTP,
+        magicLink: magicLink ? {
+          tokenHash: this.hashMagicLinkSecret(magicLink.token),
+          nonceHash: this.hashMagicLinkSecret(magicLink.nonce),
+          deviceId: magicLink.deviceId
+        } : undefined,
         ipAddress,
         expiresAt: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
         maxAttempts: 3
       });
       
+      const magicLinkUrl = magicLink
+        ? `${config.get('otp.magicLinkUrl')}?token=${encodeURIComponent(magicLink.token)}`
+        : null;
       const subject = this.getEmailSubject(purpose);
-      const html = this.getEmailTemplate(purpose, otp);
+      const html = this.getEmailTemplate(purpose, otp, magicLinkUrl);
+      let text = this.getSMSTemplate(purpose, otp);
+      if (magicLinkUrl) {
+        text += ` Or open this link on the same device: ${magicLinkUrl}`;
+      }
       
-      // --- 3. CHANGED: Updated 'from' to match your Brevo Verified Sender ---
-      await this.emailTransporter.sendMail({
-        from: 'Pulsee <rajveershekhawat626@gmail.com>', // MUST match your dashboard
+      const delivery = await otpProviders.deliver('email', {
         to: email,
         subject: subject,
-        html: html
+        html: html,
+        text,
+        purpose,
+        code: otp
       });
       
-      console.log(`✅ Email OTP sent to ${email} for ${purpose}`);
-      return {
+      console.log(`✅ Email OTP sent to ${email} for ${purpose} (via ${delivery.provider})${magicLink ? ' with magic link' : ''}`);
+      const result = {
         success: true,
         identifier: email.toLowerCase(),
         type: 'email',
@@ -137,17 +164,23 @@ class CustomOTPService {
         expiresIn: '10 minutes',
         message: `OTP sent to ${email}`
       };
+
+      if (magicLink) {
+        result.magicLinkNonce = magicLink.nonce;
+      }
+
+      return result;
     } catch (error) {
       console.error('Email OTP send error:', error.message || error);
       throw new Error(`Failed to send email OTP: ${error.message || error}`);
     }
   }
 
-  // 📱 SMS OTP - Send SMS OTP via Twilio
+  // 📱 SMS OTP - Send SMS OTP via the configured SMS providers
   async sendSMSOTP(phone, purpose = 'login', userId = null, ipAddress = '127.0.0.1') {
     try {
-      if (!this.twilioClient || !this.twilioFrom) {
-        throw new Error('SMS OTP not configured. Please set TWILIO credentials in .env file');
+      if (!otpProviders.isChannelAvailable('sms')) {
+        throw new Error('SMS OTP not configured. Check OTP_SMS_PROVIDERS in .env file');
       }
 
       // Use the normalization helper to ensure E.164 format
@@ -174,12 +207,13 @@ class CustomOTPService {
 
       const smsBody = this.getSMSTemplate(purpose, otp);
 
-      const message = await this.twilioClient.messages.create({
-        body: smsBody,
-        from: this.twilioFrom,
-        to: fullPhone
+      const delivery = await otpProviders.deliver('sms', {
+        to: fullPhone,
+        text: smsBody,
+        purpose,
+        code: otp
       });
-      console.log('✅ Twilio message SID:', message.sid);
+      console.log(`✅ SMS OTP sent to ${fullPhone} for ${purpose} (via ${delivery.provider})`);
 
       return {
         success: true,
@@ -195,6 +229,72 @@ class CustomOTPService {
     }
   }
 
+  // Hide most of an email/phone for display in notices
+  maskIdentifier(identifier) {
+    if (identifier.includes('@')) {
+      const [local, domain] = identifier.split('@');
+      return `${local.slice(0, 2)}***@${domain}`;
+    }
+    return `${identifier.slice(0, 3)}******${identifier.slice(-4)}`;
+  }
+
+  // Security notice to the current address when a change of email/phone is requested
+  async sendContactChangeNotice(method, to, newIdentifier) {
+    const what = method === 'email' ? 'email address' : 'phone number';
+    const text = `A request was made to change the ${what} on your Pulse account to ${this.maskIdentifier(newIdentifier)}. ` +
+      'If this wasn\'t you, log in and secure your account now.';
+
+    await otpProviders.deliver(method === 'email' ? 'email' : 'sms', {
+      to,
+      subject: '⚠️ Pulse account change requested',
+      text,
+      html: `<p>${text}</p>`,
+      purpose: 'contact_change_notice'
+    });
+  }
+
+  // New device / suspicious login alert with a "this wasn't me" link
+  async sendLoginAlert(to, details) {
+    const reasonText = {
+      new_device: 'a device we haven\'t seen before',
+      new_country: `a new country (${details.location?.country})`,
+      impossible_travel: 'a location too far from your last sign-in to travel in time'
+    };
+    const where = details.location
+      ? [details.location.city, details.location.country].filter(Boolean).join(', ')
+      : 'Unknown location';
+    const device = [details.deviceName, details.platform].filter(Boolean).join(' · ') || 'Unknown device';
+    const why = details.reasons.map(r => reasonText[r.type]).filter(Boolean).join(', ');
+
+    const text = `New sign-in to your Pulse account from ${why}. ` +
+      `Device: ${device}. Location: ${where}. IP: ${details.ipAddress}. Time: ${new Date(details.time).toUTCString()}. ` +
+      `If this wasn't you, sign that session out now: ${details.notMeUrl}`;
+
+    const time = new Date(details.time).toUTCString();
+    const html = `
+      <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333333;">🚨 New sign-in to your Pulse account</h2>
+        <p style="color: #666666; font-size: 15px;">We noticed a sign-in from ${escapeHtml(why)}.</p>
+        <table style="font-size: 14px; color: #333333; margin: 20px 0;">
+          <tr><td style="padding: 4px 12px 4px 0; color: #999999;">Device</td><td>${escapeHtml(device)}</td></tr>
+          <tr><td style="padding: 4px 12px 4px 0; color: #999999;">Location</td><td>${escapeHtml(where)}</td></tr>
+          <tr><td style="padding: 4px 12px 4px 0; color: #999999;">IP address</td><td>${escapeHtml(details.ipAddress)}</td></tr>
+          <tr><td style="padding: 4px 12px 4px 0; color: #999999;">Time</td><td>${escapeHtml(time)}</td></tr>
+        </table>
+        <p style="color: #666666; font-size: 15px;">If this was you, no action is needed.</p>
+        <a href="${escapeHtml(safeHref(details.notMeUrl))}" style="display: inline-block; background-color: #dc3545; color: #ffffff; text-decoration: none; padding: 14px 32px; border-radius: 8px; font-weight: 600;">This wasn't me</a>
+        <p style="color: #999999; font-size: 13px; margin-top: 20px;">The button signs that session out. Then change your password and review your devices.</p>
+      </div>`;
+
+    await otpProviders.deliver('email', {
+      to,
+      subject: '🚨 New sign-in to your Pulse account',
+      text,
+      html,
+      purpose: 'login_alert'
+    });
+  }
+
   // Email subject templates
   getEmailSubject(purpose) {
     const subjects = {
@@ -207,7 +307,8 @@ class CustomOTPService {
   }
 
   // COMPLETE Email HTML templates (ALL KEPT INTACT)
-  getEmailTemplate(purpose, otp) {
+  getEmailTemplate(purpose, otp, magicLinkUrl = null) {
+    const magicLinkBlock = magicLinkUrl ? this.getMagicLinkBlock(magicLinkUrl) : '';
     const templates = {
       signup: `
         <!DOCTYPE html>
@@ -253,6 +354,7 @@ class CustomOTPService {
                 <div class="otp-code">${otp}</div>
                 <div class="expiry">⏱️ Valid for 10 minutes</div>
               </div>
+              ${magicLinkBlock}
               
               <p class="message">
                 Enter this code in the app to verify your account and get started with all the amazing features Pulse has to offer.
@@ -328,6 +430,7 @@ class CustomOTPService {
                 <div class="otp-code">${otp}</div>
                 <div class="expiry">⏱️ Valid for 10 minutes</div>
               </div>
+              ${magicLinkBlock}
               
               <p class="message">
                 Enter this code in the app to complete your login and access your account.
@@ -513,6 +616,16 @@ class CustomOTPService {
     return templates[purpose] || templates.login;
   }
 
+  // "Sign in with one tap" button added to signup/login emails
+  getMagicLinkBlock(url) {
+    return `
+              <div style="text-align: center; margin: 30px 0;">
+                <p class="message" style="margin-bottom: 15px;">Or sign in with one tap on the device you started from:</p>
+                <a href="${url}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; padding: 14px 32px; border-radius: 8px; font-weight: 600; font-size: 15px;">Sign in to Pulse</a>
+                <p class="expiry">The link works once and expires with the code.</p>
+              </div>`;
+  }
+
   // SMS message templates
   getSMSTemplate(purpose, otp) {
     const templates = {
@@ -580,6 +693,52 @@ class CustomOTPService {
     }
   }
 
+  // Verify a magic link token together with the nonce held by the initiating device
+  async verifyMagicLink(token, nonce, deviceId) {
+    try {
+      const otpRecord = await OTP.findValidMagicLink(this.hashMagicLinkSecret(token));
+
+      if (!otpRecord || !['login', 'signup'].includes(otpRecord.purpose)) {
+        throw new Error('Invalid or expired magic link');
+      }
+      if (otpRecord.isMaxAttemptsReached && otpRecord.isMaxAttemptsReached()) {
+        throw new Error('Maximum verification attempts exceeded');
+      }
+
+      const expectedNonce = Buffer.from(otpRecord.magicLink.nonceHash, 'hex');
+      const givenNonce = Buffer.from(this.hashMagicLinkSecret(nonce), 'hex');
+      const sameDevice = otpRecord.magicLink.deviceId === deviceId;
+
+      if (!sameDevice || !crypto.timingSafeEqual(expectedNonce, givenNonce)) {
+        await otpRecord.incrementAttempts();
+        throw new Error('Invalid magic link for this device');
+      }
+
+      // Single use: the link and the typed code share this record
+      await otpRecord.markAsVerified();
+
+      try {
+        await cacheService.del(`otp_rate_limit:${otpRecord.type}:${otpRecord.identifier}`);
+      } catch (cacheError) {
+        console.warn('⚠️ Cache deletion failed on magic link verify:', cacheError);
+      }
+
+      console.log(`✅ Magic link verified for ${otpRecord.identifier}`);
+      return {
+        success: true,
+        otpId: otpRecord._id,
+        userId: otpRecord.userId,
+        identifier: otpRecord.identifier,
+        type: otpRecord.type,
+        purpose: otpRecord.purpose,
+        verifiedAt: otpRecord.verifiedAt
+      };
+    } catch (error) {
+      console.error('Magic link verification error:', error.message || error);
+      throw error;
+    }
+  }
+
   // Resend OTP
   async resendOTP(identifier, type, purpose, userId, ipAddress) {
     try {
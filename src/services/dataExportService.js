@@ -0,0 +1,288 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const archiver = require('archiver');
+const config = require('../config');
+const jwtService = require('./jwtService');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Reel = require('../models/Reel');
+const ReelComment = require('../models/ReelComment');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
+
+const STALE_PROCESSING_MS = 30 * 60 * 1000; // reclaim exports a crashed worker left behind
+const EXPORT_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+// Builds downloadable archives of everything stored about a user
+class DataExportService {
+  constructor() {
+    this.dir = path.resolve(config.get('account.exportDir'));
+  }
+
+  // Queue a new export; the worker picks it up (see jobs/dataExport.js)
+  async requestExport(userId) {
+    const active = await DataExport.findOne({
+      userId,
+      status: { $in: ['pending', 'processing'] }
+    });
+    if (active) {
+      throw new Error('An export is already in progress');
+    }
+
+    const recent = await DataExport.findOne({
+      userId,
+      status: 'ready',
+      createdAt: { $gt: new Date(Date.now() - EXPORT_COOLDOWN_MS) }
+    });
+    if (recent) {
+      throw new Error('An export was already created in the last 24 hours');
+    }
+
+    const dataExport = await DataExport.create({ userId });
+    console.log(`📦 Data export ${dataExport._id} requested by user ${userId}`);
+
+    return this.formatExport(dataExport);
+  }
+
+  async listExports(userId) {
+    const exports = await DataExport.find({ userId }).sort({ createdAt: -1 }).limit(5);
+    return exports.map(dataExport => this.formatExport(dataExport));
+  }
+
+  async getExport(userId, exportId) {
+    const dataExport = await DataExport.findOne({ _id: exportId, userId });
+    if (!dataExport) {
+      throw new Error('Export not found');
+    }
+
+    return this.formatExport(dataExport, { includeDownloadUrl: true });
+  }
+
+  // Status payload; a download link (valid ~10 minutes) is only minted on request
+  formatExport(dataExport, { includeDownloadUrl = false } = {}) {
+    const isDownloadable = dataExport.status === 'ready' && dataExport.expiresAt > new Date();
+
+    return {
+      id: dataExport._id,
+      status: dataExport.status,
+      fileSize: dataExport.fileSize,
+      error: dataExport.error,
+      requestedAt: dataExport.createdAt,
+      completedAt: dataExport.completedAt,
+      expiresAt: dataExport.expiresAt,
+      downloadUrl: includeDownloadUrl && isDownloadable ? this.createDownloadUrl(dataExport) : null
+    };
+  }
+
+  createDownloadUrl(dataExport) {
+    const token = jwtService.generateTempToken({
+      userId: dataExport.userId,
+      purpose: 'data_export',
+      resourceId: dataExport._id.toString()
+    });
+
+    return `${config.get('server.serverUrl')}/api/v1/users/exports/download?token=${encodeURIComponent(token)}`;
+  }
+
+  // Validate a download link and return the archive location
+  async resolveDownload(token) {
+    const decoded = jwtService.verifyTempToken(token);
+
+    if (decoded.purpose !== 'data_export' || !decoded.resourceId) {
+      throw new Error('Invalid temporary token purpose');
+    }
+
+    const dataExport = await DataExport.findOne({
+      _id: decoded.resourceId,
+      userId: decoded.userId,
+      status: 'ready',
+      expiresAt: { $gt: new Date() }
+    }).select('+filePath');
+
+    if (!dataExport) {
+      throw new Error('Export not found');
+    }
+
+    // The worker wrote the archive; if this process can't see it, the two
+    // don't share DATA_EXPORT_DIR
+    if (!dataExport.filePath || !fs.existsSync(dataExport.filePath)) {
+      console.error(`❌ Export archive ${dataExport._id} missing at ${dataExport.filePath} - DATA_EXPORT_DIR must be a volume shared by the API and the worker`);
+      const error = new Error('Export archive is not available on this server');
+      error.code = 'EXPORT_FILE_MISSING';
+      throw error;
+    }
+
+    await DataExport.updateOne({ _id: dataExport._id }, { $inc: { downloadCount: 1 } });
+
+    return {
+      filePath: dataExport.filePath,
+      fileName: `pulse-data-${dataExport.createdAt.toISOString().slice(0, 10)}.zip`
+    };
+  }
+
+  // Everything stored about the user, one entry per JSON file in the archive
+  async collectUserData(userId) {
+    const user = await User.findById(userId)
+      .select('-passwordHash')
+      .lean();
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const [posts, comments, reels, reelComments, messages, conversations, sessions, securityEvents, followers, following] = await Promise.all([
+      Post.find({ author: userId }).lean(),
+      Comment.find({ author: userId }).lean(),
+      Reel.find({ user: userId }).lean(),
+      ReelComment.find({ author: userId }).lean(),
+      Message.find({ sender: userId }).lean(),
+      Conversation.find({ participants: userId })
+        .select('type participants groupName groupDescription createdBy createdAt lastMessageAt')
+        .lean(),
+      Session.find({ userId })
+        .select('deviceId deviceInfo ipAddress userAgent location isActive lastActivity createdAt expiresAt revokedAt revokedReason')
+        .lean(),
+      SecurityEvent.find({ userId }).lean(),
+      User.find({ _id: { $in: user.followers || [] } }).select('username name').lean(),
+      User.find({ _id: { $in: user.following || [] } }).select('username name').lean()
+    ]);
+
+    const media = [
+      user.profile?.avatar && { type: 'avatar', url: user.profile.avatar },
+      user.profile?.coverPhoto && { type: 'cover_photo', url: user.profile.coverPhoto },
+      ...posts.flatMap(post => (post.content?.media || []).map(item => ({
+        type: `post_${item.type}`,
+        postId: post._id,
+        url: item.url
+      }))),
+      ...reels.map(reel => ({ type: 'reel_video', reelId: reel._id, url: reel.videoUrl })),
+      ...messages.filter(message => message.media?.url).map(message => ({
+        type: 'message_media',
+        messageId: message._id,
+        url: message.media.url
+      }))
+    ].filter(Boolean);
+
+    const { followers: _followers, following: _following, ...profile } = user;
+
+    return {
+      profile,
+      posts,
+      comments,
+      reels,
+      reel_comments: reelComments,
+      messages,
+      conversations,
+      sessions,
+      security_events: securityEvents,
+      followers,
+      following,
+      media
+    };
+  }
+
+  // Write the zip archive for an export and return its path and size
+  async buildArchive(dataExport) {
+    const files = await this.collectUserData(dataExport.userId);
+
+    await fsp.mkdir(this.dir, { recursive: true });
+    const filePath = path.join(this.dir, `${dataExport._id}.zip`);
+
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(filePath);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+
+      output.on('close', resolve);
+      output.on('error', reject);
+      archive.on('error', reject);
+
+      archive.pipe(output);
+      for (const [name, data] of Object.entries(files)) {
+        archive.append(JSON.stringify(data, null, 2), { name: `${name}.json` });
+      }
+      archive.append(
+        `Pulse data export for user ${dataExport.userId}\n` +
+        `Generated ${new Date().toISOString()}\n\n` +
+        'Each .json file holds one kind of data. media.json lists the URLs of your uploaded photos and videos.\n',
+        { name: 'README.txt' }
+      );
+      archive.finalize();
+    });
+
+    const { size } = await fsp.stat(filePath);
+    return { filePath, fileSize: size };
+  }
+
+  // Claim and build the oldest pending export. Returns false when the queue is empty.
+  async processNext() {
+    const dataExport = await DataExport.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending' },
+          { status: 'processing', startedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+        ]
+      },
+      { $set: { status: 'processing', startedAt: new Date() } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+
+    if (!dataExport) return false;
+
+    try {
+      const { filePath, fileSize } = await this.buildArchive(dataExport);
+      const retentionMs = config.get('account.exportRetentionHours') * 60 * 60 * 1000;
+
+      const result = await DataExport.updateOne(
+        { _id: dataExport._id },
+        {
+          $set: {
+            status: 'ready',
+            filePath,
+            fileSize,
+            completedAt: new Date(),
+            expiresAt: new Date(Date.now() + retentionMs)
+          }
+        }
+      );
+
+      // The account was purged while the archive was being built
+      if (result.matchedCount === 0) {
+        await fsp.rm(filePath, { force: true });
+        return true;
+      }
+
+      console.log(`✅ Data export ${dataExport._id} ready (${fileSize} bytes)`);
+    } catch (error) {
+      console.error(`❌ Data export ${dataExport._id} failed:`, error.message);
+      await DataExport.updateOne(
+        { _id: dataExport._id },
+        { $set: { status: 'failed', error: 'Export could not be generated', completedAt: new Date() } }
+      );
+    }
+
+    return true;
+  }
+
+  // Delete archives past their retention window
+  async expireOldExports() {
+    const expired = await DataExport.find({
+      status: 'ready',
+      expiresAt: { $lte: new Date() }
+    }).select('+filePath');
+
+    for (const dataExport of expired) {
+      await fsp.rm(dataExport.filePath, { force: true });
+      await DataExport.updateOne({ _id: dataExport._id }, { $set: { status: 'expired', filePath: null } });
+    }
+
+    return expired.length;
+  }
+}
+
+// Export singleton instance
+module.exports = new DataExportService();
@@ -0,0 +1,252 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const PostDraft = require('../models/PostDraft');
+const postService = require('./postService');
+const socketSessions = require('../sockets/sessions');
+
+const MAX_DRAFTS_PER_USER = 50;
+const PUBLISHED_DRAFT_TTL_MS = 24 * 60 * 60 * 1000;
+// A publish that hasn't finished by then (crashed request) may be retried
+const PUBLISH_CLAIM_TIMEOUT_MS = 60 * 1000;
+const EDITABLE_FIELDS = ['text', 'media', 'location', 'visibility', 'allowComments', 'isAnonymous', 'publishAt', 'poll'];
+
+const draftError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class DraftService {
+  formatDraft(draft) {
+    return {
+      id: draft._id,
+      content: {
+        text: draft.content?.text || '',
+        media: draft.content?.media || []
+      },
+      location: draft.location?.coordinates?.length === 2 ? draft.location : null,
+      poll: draft.poll || null,
+      visibility: draft.visibility,
+      allowComments: draft.allowComments,
+      isAnonymous: draft.isAnonymous,
+      publishAt: draft.publishAt,
+      version: draft.version,
+      lastEditedDevice: draft.lastEditedDevice,
+      createdAt: draft.createdAt,
+      updatedAt: draft.updatedAt
+    };
+  }
+
+  // Request body -> $set for the fields a draft holds
+  buildUpdate(fields) {
+    const update = {};
+
+    for (const field of EDITABLE_FIELDS) {
+      if (fields[field] === undefined) continue;
+
+      if (field === 'text') update['content.text'] = fields.text === null ? '' : String(fields.text);
+      else if (field === 'media') update['content.media'] = fields.media || [];
+      else if (field === 'poll') update.poll = this.normalizePoll(fields.poll);
+      else update[field] = fields[field];
+    }
+
+    return update;
+  }
+
+  // Drafts keep option texts only; clients may send strings or { text }
+  // like they do when creating a post. Validation waits until publishing.
+  normalizePoll(poll) {
+    if (poll === null) return null;
+
+    if (typeof poll !== 'object' || (poll.options !== undefined && !Array.isArray(poll.options))) {
+      throw draftError('A poll needs a list of options', 400);
+    }
+
+    return {
+      ...poll,
+      options: (poll.options || []).map(option =>
+        String((option && typeof option === 'object' ? option.text : option) ?? '')
+      )
+    };
+  }
+
+  // Tell the user's other devices to refresh the draft
+  broadcast(userId, event, payload) {
+    socketSessions.emitToUser(userId, event, payload);
+  }
+
+  async findDraft(userId, draftId) {
+    if (!mongoose.isValidObjectId(draftId)) {
+      throw draftError('Draft not found', 404);
+    }
+
+    const draft = await PostDraft.findOne({ _id: draftId, author: userId, status: 'draft' });
+    if (!draft) {
+      throw draftError('Draft not found', 404);
+    }
+
+    return draft;
+  }
+
+  async listDrafts(userId) {
+    const drafts = await PostDraft.find({ author: userId, status: 'draft' }).sort({ updatedAt: -1 });
+    return drafts.map(draft => this.formatDraft(draft));
+  }
+
+  async getDraft(userId, draftId) {
+    return this.formatDraft(await this.findDraft(userId, draftId));
+  }
+
+  async createDraft(userId, fields, deviceId) {
+    const count = await PostDraft.countDocuments({ author: userId, status: 'draft' });
+    if (count >= MAX_DRAFTS_PER_USER) {
+      throw draftError(`Draft limit reached (${MAX_DRAFTS_PER_USER}). Delete or publish a draft first`, 400);
+    }
+
+    const draft = new PostDraft({ author: userId, lastEditedDevice: deviceId || null });
+    draft.set(this.buildUpdate(fields));
+    await draft.save();
+
+    const formatted = this.formatDraft(draft);
+    this.broadcast(userId, 'draft_updated', formatted);
+    return formatted;
+  }
+
+  // Autosave. `version` is the version the client edited; if another device
+  // saved in between, nothing is written and the error carries the current draft.
+  async updateDraft(userId, draftId, fields, version, deviceId) {
+    if (!mongoose.isValidObjectId(draftId)) {
+      throw draftError('Draft not found', 404);
+    }
+
+    const expectedVersion = parseInt(version);
+    if (!expectedVersion) {
+      throw draftError('version is required', 400);
+    }
+
+    const draft = await PostDraft.findOneAndUpdate(
+      { _id: draftId, author: userId, status: 'draft', version: expectedVersion },
+      {
+        $set: { ...this.buildUpdate(fields), lastEditedDevice: deviceId || null },
+        $inc: { version: 1 }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!draft) {
+      const current = await this.findDraft(userId, draftId);
+      const error = draftError('Draft was changed on another device', 409);
+      error.draft = this.formatDraft(current);
+      throw error;
+    }
+
+    const formatted = this.formatDraft(draft);
+    this.broadcast(userId, 'draft_updated', formatted);
+    return formatted;
+  }
+
+  async deleteDraft(userId, draftId) {
+    if (!mongoose.isValidObjectId(draftId)) {
+      throw draftError('Draft not found', 404);
+    }
+
+    const result = await PostDraft.deleteOne({ _id: draftId, author: userId, status: 'draft' });
+    if (result.deletedCount === 0) {
+      throw draftError('Draft not found', 404);
+    }
+
+    this.broadcast(userId, 'draft_deleted', { id: draftId });
+  }
+
+  // Turn a draft into a real post exactly once. Claiming the draft first means
+  // two devices publishing at the same time can't create two posts.
+  async publishDraft(userId, draftId) {
+    if (!mongoose.isValidObjectId(draftId)) {
+      throw draftError('Draft not found', 404);
+    }
+
+    const draft = await PostDraft.findOneAndUpdate(
+      {
+        _id: draftId,
+        author: userId,
+        $or: [
+          { status: 'draft' },
+          { status: 'publishing', publishingAt: { $lt: new Date(Date.now() - PUBLISH_CLAIM_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { status: 'publishing', publishingAt: new Date() } },
+      { new: true }
+    );
+
+    if (!draft) {
+      const existing = await PostDraft.findOne({ _id: draftId, author: userId });
+      if (!existing) {
+        throw draftError('Draft not found', 404);
+      }
+
+      // Retried publish: hand back the post it already became
+      if (existing.status === 'published') {
+        const post = await Post.findById(existing.publishedPost);
+        if (post) return { post, alreadyPublished: true };
+        throw draftError('Draft not found', 404);
+      }
+
+      throw draftError('Draft is already being published', 409);
+    }
+
+    // The post ID is recorded before the post exists, so if a publish dies
+    // after creating it, the retry finds that post instead of making another
+    let postId = draft.publishedPost;
+    if (postId) {
+      const existing = await Post.findById(postId);
+      if (existing) return this.markPublished(draft, existing, userId);
+    } else {
+      postId = new mongoose.Types.ObjectId();
+      await PostDraft.updateOne({ _id: draft._id, status: 'publishing' }, { $set: { publishedPost: postId } });
+    }
+
+    let post;
+    try {
+      post = await postService.createPost(userId, {
+        postId,
+        text: draft.content.text,
+        media: draft.content.media.map(item => item.toObject()),
+        location: draft.location?.coordinates?.length === 2 ? draft.location.toObject() : undefined,
+        visibility: draft.visibility,
+        allowComments: draft.allowComments,
+        isAnonymous: draft.isAnonymous,
+        publishAt: draft.publishAt,
+        poll: draft.poll ? draft.poll.toObject() : undefined
+      });
+    } catch (error) {
+      // Release the claim so the user can fix the draft and try again
+      await PostDraft.updateOne(
+        { _id: draft._id, status: 'publishing' },
+        { $set: { status: 'draft', publishingAt: null } }
+      );
+      throw error;
+    }
+
+    return this.markPublished(draft, post, userId, false);
+  }
+
+  async markPublished(draft, post, userId, alreadyPublished = true) {
+    await PostDraft.updateOne(
+      { _id: draft._id },
+      {
+        $set: {
+          status: 'published',
+          publishedPost: post._id,
+          expiresAt: new Date(Date.now() + PUBLISHED_DRAFT_TTL_MS)
+        }
+      }
+    );
+
+    this.broadcast(userId, 'draft_deleted', { id: draft._id, publishedPost: post._id });
+    console.log(`📝 Draft ${draft._id} published as post ${post._id}`);
+
+    return { post, alreadyPublished };
+  }
+}
+
+module.exports = new DraftService();
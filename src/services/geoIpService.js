@@ -0,0 +1,95 @@
+const axios = require('axios');
+const config = require('../config');
+const cacheService = require('./cacheService');
+
+const LOOKUP_CACHE_TTL = 24 * 60 * 60; // 1 day
+const LOOKUP_TIMEOUT_MS = 2000;
+
+// Approximate location of an IP address via an HTTPS lookup service
+// (GEOIP_LOOKUP_URL, with {ip} as placeholder). Off unless configured;
+// results are cached.
+class GeoIpService {
+  constructor() {
+    this.warnedInsecureUrl = false;
+  }
+
+  // The configured lookup URL, or null when GeoIP is off. Plain-http
+  // providers are refused so sign-in IPs never leave in cleartext.
+  getLookupUrl() {
+    const url = config.get('security.geoIpUrl');
+    if (!url) return null;
+
+    if (!/^https:\/\//i.test(url)) {
+      if (!this.warnedInsecureUrl) {
+        console.warn('⚠️ GEOIP_LOOKUP_URL must use https - GeoIP lookups disabled');
+        this.warnedInsecureUrl = true;
+      }
+      return null;
+    }
+
+    return url;
+  }
+
+  normalizeIp(ip) {
+    return String(ip || '').replace(/^::ffff:/, '');
+  }
+
+  // Loopback, private and link-local ranges have no meaningful location
+  isPrivateIp(ip) {
+    return !ip ||
+      ip === '::1' ||
+      /^127\./.test(ip) ||
+      /^10\./.test(ip) ||
+      /^192\.168\./.test(ip) ||
+      /^172\.(1[6-9]|2\d|3[01])\./.test(ip) ||
+      /^169\.254\./.test(ip) ||
+      /^f[cd][0-9a-f]{2}:/i.test(ip) ||
+      /^fe80:/i.test(ip);
+  }
+
+  // Accepts ip-api.com style ({ countryCode, city, lat, lon }) and the
+  // common { country_code, latitude, longitude } shape
+  parseResponse(data) {
+    if (!data || data.status === 'fail' || data.error) return null;
+
+    const country = data.countryCode || data.country_code || data.country;
+    const lat = data.lat ?? data.latitude;
+    const lon = data.lon ?? data.longitude;
+
+    if (!country) return null;
+
+    return {
+      city: data.city || null,
+      country: String(country).toUpperCase(),
+      coordinates: typeof lat === 'number' && typeof lon === 'number' ? [lon, lat] : null
+    };
+  }
+
+  // Returns { city, country, coordinates: [lng, lat] } or null
+  async lookup(ipAddress) {
+    const ip = this.normalizeIp(ipAddress);
+    const url = this.getLookupUrl();
+
+    if (!url || this.isPrivateIp(ip)) return null;
+
+    const cacheKey = `geoip:${ip}`;
+    const cached = await cacheService.get(cacheKey);
+    if (cached) return cached.location;
+
+    try {
+      const response = await axios.get(url.replace('{ip}', encodeURIComponent(ip)), {
+        timeout: LOOKUP_TIMEOUT_MS
+      });
+
+      const location = this.parseResponse(response.data);
+      await cacheService.set(cacheKey, { location }, LOOKUP_CACHE_TTL);
+      return location;
+
+    } catch (error) {
+      console.warn(`⚠️ GeoIP lookup failed for ${ip}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new GeoIpService();
@@ -0,0 +1,174 @@
+const Post = require('../models/Post');
+const User = require('../models/User');
+const cacheService = require('./cacheService');
+const { TRENDING_HASHTAG_WINDOWS, MAX_FOLLOWED_HASHTAGS } = require('../utils/constants');
+
+const TRENDING_CACHE_TTL = 5 * 60; // 5 minutes
+const EARTH_RADIUS_M = 6378100;
+const MAX_PAGE_SIZE = 50;
+
+class HashtagService {
+  // "#Pulse" / "pulse" -> "pulse"; null if not a valid tag
+  normalizeTag(tag) {
+    const normalized = String(tag || '').trim().replace(/^#/, '').toLowerCase();
+    return /^\w{1,100}$/.test(normalized) ? normalized : null;
+  }
+
+  // Opaque cursor over (createdAt, _id), newest first
+  encodeCursor(post) {
+    return Buffer.from(`${post.createdAt.toISOString()}_${post._id}`).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    const [date, id] = Buffer.from(String(cursor), 'base64url').toString().split('_');
+    const createdAt = new Date(date);
+
+    if (isNaN(createdAt) || !/^[a-f0-9]{24}$/.test(id || '')) {
+      throw new Error('Invalid cursor');
+    }
+
+    return { createdAt, id };
+  }
+
+  // Public posts carrying a hashtag, newest first
+  async getPosts(tag, { cursor, limit = 20 } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+
+    const query = {
+      'content.hashtags': tag,
+      isActive: true,
+      isHidden: { $ne: true },
+      isScheduled: { $ne: true },
+      visibility: 'public'
+    };
+
+    if (cursor) {
+      const { createdAt, id } = this.decodeCursor(cursor);
+      query.$or = [
+        { createdAt: { $lt: createdAt } },
+        { createdAt, _id: { $lt: id } }
+      ];
+    }
+
+    const posts = await Post.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(pageSize + 1)
+      .populate('author', 'username name avatar profile isVerified')
+      .populate({
+        path: 'originalPost',
+        populate: { path: 'author', select: 'username name avatar profile isVerified' }
+      })
+      .lean();
+
+    const hasMore = posts.length > pageSize;
+    const page = posts.slice(0, pageSize);
+
+    return {
+      posts: page,
+      nextCursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null,
+      hasMore
+    };
+  }
+
+  // Tags used by the most distinct authors over the last `window`,
+  // optionally only among posts within `radius` metres of a point
+  async getTrending({ window = '24h', coordinates = null, radius = 10000, limit = 10 } = {}) {
+    const hours = TRENDING_HASHTAG_WINDOWS[window];
+    if (!hours) {
+      throw new Error(`Invalid window. Use one of: ${Object.keys(TRENDING_HASHTAG_WINDOWS).join(', ')}`);
+    }
+
+    const size = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_PAGE_SIZE);
+
+    // Rounded so nearby callers share a cache entry (~1 km)
+    const geoKey = coordinates
+      ? `${coordinates[0].toFixed(2)},${coordinates[1].toFixed(2)},${radius}`
+      : 'global';
+
+    return cacheService.getOrSet(
+      `hashtags:trending:${window}:${geoKey}:${size}`,
+      () => this.computeTrending(hours, coordinates, radius, size),
+      TRENDING_CACHE_TTL
+    );
+  }
+
+  async computeTrending(hours, coordinates, radius, limit) {
+    const match = {
+      isActive: true,
+      isHidden: { $ne: true },
+      isScheduled: { $ne: true },
+      visibility: 'public',
+      'content.hashtags.0': { $exists: true },
+      createdAt: { $gte: new Date(Date.now() - hours * 60 * 60 * 1000) }
+    };
+
+    if (coordinates) {
+      match.location = {
+        $geoWithin: { $centerSphere: [coordinates, radius / EARTH_RADIUS_M] }
+      };
+    }
+
+    const results = await Post.aggregate([
+      { $match: match },
+      { $unwind: '$content.hashtags' },
+      {
+        $group: {
+          _id: '$content.hashtags',
+          postCount: { $sum: 1 },
+          authors: { $addToSet: '$author' },
+          engagement: { $sum: { $add: ['$stats.likes', '$stats.comments', '$stats.shares'] } },
+          lastPostAt: { $max: '$createdAt' }
+        }
+      },
+      // Distinct authors first so one account can't push a tag alone
+      { $addFields: { authorCount: { $size: '$authors' } } },
+      { $sort: { authorCount: -1, postCount: -1, engagement: -1 } },
+      { $limit: limit },
+      { $project: { _id: 0, tag: '$_id', postCount: 1, authorCount: 1, engagement: 1, lastPostAt: 1 } }
+    ]);
+
+    return results;
+  }
+
+  async getFollowed(userId) {
+    const user = await User.findById(userId).select('followedHashtags');
+    return user ? user.followedHashtags : [];
+  }
+
+  async isFollowing(userId, tag) {
+    return Boolean(await User.exists({ _id: userId, followedHashtags: tag }));
+  }
+
+  async follow(userId, tag) {
+    const user = await User.findOneAndUpdate(
+      {
+        _id: userId,
+        [`followedHashtags.${MAX_FOLLOWED_HASHTAGS - 1}`]: { $exists: false }
+      },
+      { $addToSet: { followedHashtags: tag } },
+      { new: true }
+    ).select('followedHashtags');
+
+    if (!user) {
+      // Already following counts as success even at the limit
+      if (await this.isFollowing(userId, tag)) {
+        return this.getFollowed(userId);
+      }
+      throw new Error(`You can follow up to ${MAX_FOLLOWED_HASHTAGS} hashtags`);
+    }
+
+    return user.followedHashtags;
+  }
+
+  async unfollow(userId, tag) {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $pull: { followedHashtags: tag } },
+      { new: true }
+    ).select('followedHashtags');
+
+    return user ? user.followedHashtags : [];
+  }
+}
+
+module.exports = new HashtagService();
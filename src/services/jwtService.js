@@ -19,6 +19,9 @@ class JWTService {
       username: payload.username,
       email: payload.email,
       isVerified: payload.isVerified,
+      deviceId: payload.deviceId,
+      sid: payload.sessionId, // refresh token family, identifies the login session
+      jti: payload.jti || crypto.randomBytes(16).toString('hex'), // Unique token ID (denylist key)
       type: 'access'
     };
 
@@ -35,7 +38,8 @@ class JWTService {
       userId: payload.userId,
       deviceId: payload.deviceId,
       type: 'refresh',
-      tokenId: crypto.randomBytes(16).toString('hex') // Unique token ID
+      tokenId: payload.tokenId || crypto.randomBytes(16).toString('hex'), // Unique token ID
+      familyId: payload.familyId // Shared by all tokens rotated from one login
     };
 
     return jwt.sign(tokenPayload, this.refreshTokenSecret, {
@@ -46,15 +50,18 @@ class JWTService {
   }
 
   // Generate temporary token (for username creation flow)
-  generateTempToken(payload) {
+  generateTempToken(payload, expiresIn = '10m') {
     const tokenPayload = {
       userId: payload.userId,
       purpose: payload.purpose || 'username_creation',
+      deviceId: payload.deviceId, // binds multi-step logins to the initiating device
+      resourceId: payload.resourceId, // e.g. the export a download link is for
+      jti: crypto.randomBytes(16).toString('hex'), // lets single-use links be marked as used
       type: 'temporary'
     };
 
     return jwt.sign(tokenPayload, this.tempTokenSecret, {
-      expiresIn: '10m', // Short-lived for security
+      expiresIn, // Short-lived for security (10 minutes unless a link needs longer)
       issuer: 'pulse-app',
       audience: 'pulse-users'
     });
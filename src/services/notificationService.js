@@ -0,0 +1,113 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const socketSessions = require('../sockets/sessions');
+
+const PREVIEW_LENGTH = 140;
+
+class NotificationService {
+  preview(text) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > PREVIEW_LENGTH ? `${clean.slice(0, PREVIEW_LENGTH - 1)}…` : clean;
+  }
+
+  // Notify users @mentioned in a post, comment, reel or message. Respects
+  // settings.notifyOnMention; never throws into the request that triggered it.
+  // `visibility` and `ownerId` describe the post the mention lives on: nobody
+  // is notified about a private post, and only the owner's followers (or the
+  // owner) about a followers-only one.
+  async notifyMentions({ actorId, recipientIds, entityType, entityId, context = {}, text, anonymous = false, visibility = 'public', ownerId = actorId }) {
+    try {
+      if (!recipientIds || recipientIds.length === 0) return [];
+      if (visibility === 'private') return [];
+
+      let allowed = recipientIds;
+      if (visibility === 'followers') {
+        const owner = await User.findById(ownerId).select('followers').lean();
+        const audience = new Set([String(ownerId), ...(owner?.followers || []).map(String)]);
+        allowed = recipientIds.filter(id => audience.has(String(id)));
+        if (allowed.length === 0) return [];
+      }
+
+      const recipients = await User.find({
+        _id: { $in: allowed, $ne: actorId },
+        isActive: true,
+        'settings.notifyOnMention': { $ne: false }
+      }).select('_id').lean();
+
+      if (recipients.length === 0) return [];
+
+      const preview = this.preview(text);
+      const notifications = [];
+
+      for (const recipient of recipients) {
+        try {
+          const notification = await Notification.create({
+            recipient: recipient._id,
+            actor: anonymous ? null : actorId,
+            type: 'mention',
+            entityType,
+            entity: entityId,
+            context,
+            preview
+          });
+          notifications.push(notification);
+        } catch (error) {
+          // Already notified about this mention
+          if (error.code !== 11000) throw error;
+        }
+      }
+
+      if (notifications.length === 0) return [];
+
+      const actor = anonymous ? null : await User.findById(actorId).select('username name avatar profile isVerified').lean();
+
+      for (const notification of notifications) {
+        socketSessions.emitToUser(notification.recipient, 'notification', {
+          ...notification.toObject(),
+          actor
+        });
+      }
+
+      console.log(`🔔 ${notifications.length} mention notification(s) for ${entityType} ${entityId}`);
+      return notifications;
+
+    } catch (error) {
+      console.error('Mention notification error:', error.message);
+      return [];
+    }
+  }
+
+  async list(userId, { page = 1, limit = 20, unreadOnly = false } = {}) {
+    const query = { recipient: userId };
+    if (unreadOnly) query.readAt = null;
+
+    return Notification.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit)
+      .populate('actor', 'username name avatar profile isVerified')
+      .lean();
+  }
+
+  async unreadCount(userId) {
+    return Notification.countDocuments({ recipient: userId, readAt: null });
+  }
+
+  // Mark the given notifications (or all of them) as read
+  async markRead(userId, notificationIds = null) {
+    const query = { recipient: userId, readAt: null };
+    if (notificationIds) query._id = { $in: notificationIds };
+
+    const result = await Notification.updateMany(query, { $set: { readAt: new Date() } });
+    return result.modifiedCount;
+  }
+
+  async remove(userId, notificationId) {
+    const result = await Notification.deleteOne({ _id: notificationId, recipient: userId });
+    if (result.deletedCount === 0) {
+      throw new Error('Notification not found');
+    }
+  }
+}
+
+module.exports = new NotificationService();
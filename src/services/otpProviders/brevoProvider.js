@@ -0,0 +1,42 @@
+const nodemailer = require('nodemailer');
+const BrevoTransport = require('nodemailer-brevo-transport');
+const config = require('../../config');
+
+// Email via the Brevo HTTP API
+class BrevoProvider {
+  constructor() {
+    this.name = 'brevo';
+    this.channel = 'email';
+    this.transporter = null;
+
+    if (process.env.EMAIL_API_KEY) {
+      try {
+        this.transporter = nodemailer.createTransport(
+          new BrevoTransport({
+            apiKey: process.env.EMAIL_API_KEY
+          })
+        );
+      } catch (err) {
+        console.error('❌ Brevo Transport Init Failed:', err.message);
+      }
+    }
+  }
+
+  isConfigured() {
+    return !!this.transporter;
+  }
+
+  async send({ to, subject, html, text }) {
+    const info = await this.transporter.sendMail({
+      from: config.get('otp.emailFrom'), // MUST match your Brevo verified sender
+      to,
+      subject,
+      html,
+      text
+    });
+
+    return { messageId: info && info.messageId };
+  }
+}
+
+module.exports = new BrevoProvider();
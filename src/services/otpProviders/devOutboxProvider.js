@@ -0,0 +1,69 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+
+// Development transport: writes every message to a JSON file in the outbox
+// directory instead of sending it. Only available with NODE_ENV=development
+// and OTP_DEV_OUTBOX=true.
+class DevOutboxProvider {
+  constructor() {
+    this.name = 'dev_outbox';
+    this.channels = ['email', 'sms'];
+    this.dir = path.resolve(config.get('otp.outboxDir'));
+  }
+
+  isConfigured() {
+    return config.isDevOutboxEnabled();
+  }
+
+  async send(message) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const entry = {
+      id,
+      channel: message.channel,
+      to: message.to,
+      subject: message.subject || null,
+      text: message.text,
+      html: message.html || null,
+      purpose: message.purpose,
+      code: message.code,
+      createdAt: new Date().toISOString()
+    };
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(path.join(this.dir, `${id}.json`), JSON.stringify(entry, null, 2));
+
+    console.log(`📬 [dev outbox] ${message.channel} to ${message.to}: ${message.code}`);
+
+    return { messageId: id };
+  }
+
+  // Most recent messages first, optionally only those sent to one recipient
+  async list({ to = null, limit = 20 } = {}) {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const file of files.filter(f => f.endsWith('.json')).sort().reverse()) {
+      const entry = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+      if (to && entry.to !== to) continue;
+
+      entries.push(entry);
+      if (entries.length >= limit) break;
+    }
+
+    return entries;
+  }
+
+  async clear() {
+    await fs.rm(this.dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = new DevOutboxProvider();
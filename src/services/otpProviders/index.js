@@ -0,0 +1,57 @@
+const config = require('../../config');
+
+const providers = {
+  brevo: require('./brevoProvider'),
+  smtp: require('./smtpProvider'),
+  twilio: require('./twilioProvider'),
+  dev_outbox: require('./devOutboxProvider')
+};
+
+const supportsChannel = (provider, channel) =>
+  provider.channel === channel || (provider.channels || []).includes(channel);
+
+// Configured providers for a channel ('email' or 'sms'), in failover order
+const getProviders = (channel) => {
+  const order = config.get(channel === 'email' ? 'otp.emailProviders' : 'otp.smsProviders') || [];
+
+  return order
+    .map(name => {
+      const provider = providers[name];
+      if (!provider) {
+        console.warn(`⚠️ Unknown OTP provider "${name}" in config, skipping`);
+      }
+      return provider;
+    })
+    .filter(provider => provider && supportsChannel(provider, channel) && provider.isConfigured());
+};
+
+const isChannelAvailable = (channel) => getProviders(channel).length > 0;
+
+// Send a message through the first provider that succeeds
+const deliver = async (channel, message) => {
+  const candidates = getProviders(channel);
+
+  if (candidates.length === 0) {
+    throw new Error(`No ${channel} delivery provider configured. Check OTP_${channel.toUpperCase()}_PROVIDERS in .env`);
+  }
+
+  let lastError = null;
+  for (const provider of candidates) {
+    try {
+      const result = await provider.send({ ...message, channel });
+      return { provider: provider.name, ...result };
+    } catch (error) {
+      lastError = error;
+      console.error(`❌ OTP ${channel} provider "${provider.name}" failed:`, error.message || error);
+    }
+  }
+
+  throw lastError;
+};
+
+module.exports = {
+  providers,
+  getProviders,
+  isChannelAvailable,
+  deliver
+};
@@ -0,0 +1,28 @@
+const smtpConfig = require('../../config/smtp');
+const config = require('../../config');
+
+// Email through the SMTP server configured in config/smtp.js (SMTP_HOST)
+class SMTPProvider {
+  constructor() {
+    this.name = 'smtp';
+    this.channel = 'email';
+  }
+
+  isConfigured() {
+    return !!config.get('smtp.host');
+  }
+
+  async send({ to, subject, html, text }) {
+    const info = await smtpConfig.sendMail({
+      from: config.get('otp.emailFrom'),
+      to,
+      subject,
+      html,
+      text
+    });
+
+    return { messageId: info && info.messageId };
+  }
+}
+
+module.exports = new SMTPProvider();
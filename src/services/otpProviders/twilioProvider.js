@@ -0,0 +1,39 @@
+const Twilio = require('twilio');
+const config = require('../../config');
+
+// SMS via Twilio
+class TwilioProvider {
+  constructor() {
+    this.name = 'twilio';
+    this.channel = 'sms';
+    this.client = null;
+
+    const { accountSid, authToken, from } = config.get('twilio');
+    if (accountSid && authToken && from) {
+      try {
+        this.client = Twilio(accountSid, authToken);
+        this.from = from;
+      } catch (e) {
+        this.client = null;
+        console.warn('⚠️ Twilio initialization failed:', e.message || e);
+      }
+    }
+  }
+
+  isConfigured() {
+    return !!(this.client && this.from);
+  }
+
+  async send({ to, text }) {
+    const message = await this.client.messages.create({
+      body: text,
+      from: this.from,
+      to
+    });
+    console.log('✅ Twilio message SID:', message.sid);
+
+    return { messageId: message.sid };
+  }
+}
+
+module.exports = new TwilioProvider();
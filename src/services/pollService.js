@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const PollVote = require('../models/PollVote');
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 6;
+const MAX_OPTION_LENGTH = 80;
+const DEFAULT_DURATION_MS = 24 * 60 * 60 * 1000;
+const MIN_DURATION_MS = 5 * 60 * 1000;
+const MAX_DURATION_DAYS = 30;
+
+const pollError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  if (status === 400) error.code = 'INVALID_POST';
+  return error;
+};
+
+class PollService {
+  // Validate poll input for a new post going live at `startsAt`.
+  // Options may be strings or { text }. Returns the poll to store, or undefined.
+  parsePoll(input, startsAt = new Date()) {
+    if (input === undefined || input === null) return undefined;
+
+    if (typeof input !== 'object' || !Array.isArray(input.options)) {
+      throw pollError('A poll needs a list of options');
+    }
+
+    const options = input.options.map(option =>
+      String((option && typeof option === 'object' ? option.text : option) ?? '').trim()
+    );
+
+    if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+      throw pollError(`A poll needs between ${MIN_OPTIONS} and ${MAX_OPTIONS} options`);
+    }
+
+    if (options.some(text => !text)) {
+      throw pollError('Poll options cannot be empty');
+    }
+
+    if (options.some(text => text.length > MAX_OPTION_LENGTH)) {
+      throw pollError(`Poll options can be at most ${MAX_OPTION_LENGTH} characters`);
+    }
+
+    if (new Set(options.map(text => text.toLowerCase())).size !== options.length) {
+      throw pollError('Poll options must be different');
+    }
+
+    const closesAt = input.closesAt
+      ? new Date(input.closesAt)
+      : new Date(startsAt.getTime() + DEFAULT_DURATION_MS);
+
+    if (isNaN(closesAt)) {
+      throw pollError('closesAt must be a valid date');
+    }
+
+    const duration = closesAt.getTime() - startsAt.getTime();
+    if (duration < MIN_DURATION_MS) {
+      throw pollError('A poll must stay open for at least 5 minutes');
+    }
+
+    if (duration > MAX_DURATION_DAYS * 24 * 60 * 60 * 1000) {
+      throw pollError(`Polls can stay open at most ${MAX_DURATION_DAYS} days`);
+    }
+
+    return {
+      options: options.map(text => ({ text })),
+      multipleChoice: Boolean(input.multipleChoice),
+      anonymous: Boolean(input.anonymous),
+      closesAt
+    };
+  }
+
+  // Tallies plus the caller's vote (option IDs, or null if they haven't voted)
+  formatPoll(poll, myVote = null) {
+    const totalVoters = poll.totalVoters || 0;
+
+    return {
+      options: poll.options.map(option => ({
+        _id: option._id,
+        text: option.text,
+        votes: option.votes || 0,
+        percentage: totalVoters ? Math.round((option.votes || 0) / totalVoters * 100) : 0
+      })),
+      multipleChoice: poll.multipleChoice,
+      anonymous: poll.anonymous,
+      closesAt: poll.closesAt,
+      isClosed: new Date(poll.closesAt) <= new Date(),
+      totalVoters,
+      myVote
+    };
+  }
+
+  // Format the polls in a list of plain post objects for `userId`, in one query
+  async attachVotes(posts, userId) {
+    const withPolls = posts.filter(post => post.content?.poll?.options);
+    if (withPolls.length === 0) return posts;
+
+    const votes = userId
+      ? await PollVote.find({ post: { $in: withPolls.map(post => post._id) }, user: userId })
+        .select('post optionIds')
+        .lean()
+      : [];
+    const votesByPost = new Map(votes.map(vote => [vote.post.toString(), vote.optionIds]));
+
+    for (const post of withPolls) {
+      post.content.poll = this.formatPoll(post.content.poll, votesByPost.get(post._id.toString()) || null);
+    }
+
+    return posts;
+  }
+
+  async findPollPost(postId) {
+    if (!mongoose.isValidObjectId(postId)) {
+      throw pollError('Poll not found', 404);
+    }
+
+    const post = await Post.findOne({
+      _id: postId,
+      isActive: true,
+      isHidden: { $ne: true },
+      isScheduled: { $ne: true }
+    }).select('content.poll');
+
+    if (!post || !post.content?.poll) {
+      throw pollError('Poll not found', 404);
+    }
+
+    return post;
+  }
+
+  async updateTallies(postId, optionIds, delta) {
+    const post = await Post.findOneAndUpdate(
+      { _id: postId },
+      { $inc: { 'content.poll.options.$[option].votes': delta, 'content.poll.totalVoters': delta } },
+      { new: true, arrayFilters: [{ 'option._id': { $in: optionIds } }] }
+    ).select('content.poll');
+
+    return post.content.poll;
+  }
+
+  // The unique (post, user) index is what guarantees a single vote
+  async vote(userId, postId, optionIds) {
+    const post = await this.findPollPost(postId);
+    const poll = post.content.poll;
+
+    if (poll.closesAt <= new Date()) {
+      throw pollError('This poll has closed');
+    }
+
+    const chosen = [...new Set((Array.isArray(optionIds) ? optionIds : [optionIds]).filter(Boolean).map(String))];
+
+    if (chosen.length === 0) {
+      throw pollError('Choose at least one option');
+    }
+
+    if (!poll.multipleChoice && chosen.length > 1) {
+      throw pollError('This poll allows only one choice');
+    }
+
+    const validIds = poll.options.map(option => option._id.toString());
+    if (chosen.some(id => !validIds.includes(id))) {
+      throw pollError('Invalid poll option');
+    }
+
+    const chosenIds = chosen.map(id => new mongoose.Types.ObjectId(id));
+
+    try {
+      await PollVote.create({ post: post._id, user: userId, optionIds: chosenIds });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw pollError('You have already voted. Remove your vote to change it', 409);
+      }
+      throw error;
+    }
+
+    return this.formatPoll(await this.updateTallies(post._id, chosenIds, 1), chosenIds);
+  }
+
+  async unvote(userId, postId) {
+    const post = await this.findPollPost(postId);
+
+    // Results are final once the poll closes
+    if (post.content.poll.closesAt <= new Date()) {
+      throw pollError('This poll has closed');
+    }
+
+    const vote = await PollVote.findOneAndDelete({ post: post._id, user: userId });
+    if (!vote) {
+      throw pollError('You have not voted on this poll', 404);
+    }
+
+    return this.formatPoll(await this.updateTallies(post._id, vote.optionIds, -1), null);
+  }
+
+  // Who picked an option; not available for anonymous polls
+  async getVoters(postId, optionId, { page = 1, limit = 20 } = {}) {
+    const post = await this.findPollPost(postId);
+
+    if (post.content.poll.anonymous) {
+      throw pollError('Votes on this poll are anonymous', 403);
+    }
+
+    if (!post.content.poll.options.some(option => option._id.toString() === String(optionId))) {
+      throw pollError('Invalid poll option');
+    }
+
+    const votes = await PollVote.find({ post: post._id, optionIds: optionId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit)
+      .populate('user', 'username name avatar profile isVerified')
+      .lean();
+
+    return votes.filter(vote => vote.user).map(vote => ({ user: vote.user, votedAt: vote.createdAt }));
+  }
+}
+
+module.exports = new PollService();
@@ -0,0 +1,155 @@
+const config = require('../config');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const pollService = require('./pollService');
+
+const MIN_SCHEDULE_LEAD_MS = 60 * 1000; // publishAt must be at least a minute away
+const PUBLISH_BATCH_SIZE = 50;
+const VISIBILITIES = ['public', 'followers', 'private'];
+
+// Bad input from the client; status is picked up by controllers and the global error handler
+const inputError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'INVALID_POST';
+  return error;
+};
+
+class PostService {
+  // Notify users @mentioned in a post (runs in the background)
+  notifyMentions(post) {
+    return notificationService.notifyMentions({
+      actorId: post.author._id || post.author,
+      recipientIds: post.content.mentions,
+      entityType: 'Post',
+      entityId: post._id,
+      context: { post: post._id },
+      text: post.content.text,
+      anonymous: post.isAnonymous,
+      visibility: post.visibility
+    });
+  }
+
+  // Validate a requested publish time
+  parsePublishAt(value) {
+    const publishAt = new Date(value);
+
+    if (!value || isNaN(publishAt)) {
+      throw inputError('publishAt must be a valid date');
+    }
+
+    if (publishAt.getTime() - Date.now() < MIN_SCHEDULE_LEAD_MS) {
+      throw inputError('publishAt must be at least a minute in the future');
+    }
+
+    const maxDays = config.get('posts.maxScheduleDays');
+    if (publishAt.getTime() - Date.now() > maxDays * 24 * 60 * 60 * 1000) {
+      throw inputError(`Posts can be scheduled at most ${maxDays} days ahead`);
+    }
+
+    return publishAt;
+  }
+
+  isInputError(error) {
+    return error.status === 400 || error.name === 'ValidationError';
+  }
+
+  // Create a post, or schedule it when publishAt is given. Shared by
+  // POST /posts and draft publishing so both apply the same rules. `postId`
+  // lets a caller pick the ID up front (draft publishing records it first).
+  async createPost(userId, { text, media, location, visibility, allowComments, isAnonymous, publishAt, poll, postId } = {}) {
+    const hasText = typeof text === 'string' && text.trim().length > 0;
+    const hasMedia = Array.isArray(media) && media.length > 0;
+
+    if (!hasText && !hasMedia) {
+      throw inputError('Post must have text or media');
+    }
+
+    if (visibility && !VISIBILITIES.includes(visibility)) {
+      throw inputError(`Visibility must be one of: ${VISIBILITIES.join(', ')}`);
+    }
+
+    const scheduledFor = publishAt !== undefined && publishAt !== null
+      ? this.parsePublishAt(publishAt)
+      : null;
+
+    // A poll's closing time counts from when the post goes live
+    const parsedPoll = pollService.parsePoll(poll, scheduledFor || new Date());
+    if (parsedPoll && !hasText) {
+      throw inputError('A poll needs a question in the post text');
+    }
+
+    const post = new Post({
+      ...(postId && { _id: postId }),
+      author: userId,
+      content: { text, media: media || [], poll: parsedPoll },
+      location,
+      visibility: visibility || 'public',
+      allowComments: allowComments !== undefined ? allowComments : true,
+      isAnonymous: isAnonymous || false,
+      isScheduled: Boolean(scheduledFor),
+      publishAt: scheduledFor
+    });
+
+    await post.save();
+
+    // Scheduled posts are counted and announced when the worker publishes them
+    if (!post.isScheduled) {
+      this.notifyMentions(post);
+      await User.findByIdAndUpdate(userId, { $inc: { 'stats.posts': 1 } });
+    }
+
+    return post;
+  }
+
+  // Publish one scheduled post. The conditional update is the claim, so two
+  // workers can't both publish it. Returns the post, or null if not due.
+  async publishScheduled(postId) {
+    const now = new Date();
+
+    const post = await Post.findOneAndUpdate(
+      { _id: postId, isScheduled: true, isActive: true, publishAt: { $lte: now } },
+      // Feeds order by createdAt, so the post appears as new when it goes live.
+      // The timestamps plugin strips createdAt from updates, hence timestamps: false.
+      { $set: { isScheduled: false, createdAt: now, updatedAt: now } },
+      { new: true, timestamps: false, overwriteImmutable: true }
+    );
+
+    if (!post) return null;
+
+    if (!post.isRepost) {
+      await User.findByIdAndUpdate(post.author, { $inc: { 'stats.posts': 1 } });
+    }
+
+    this.notifyMentions(post);
+
+    console.log(`📣 Scheduled post ${post._id} published`);
+    return post;
+  }
+
+  // Publish every scheduled post whose time has come
+  async publishDue() {
+    let published = 0;
+
+    while (true) {
+      const due = await Post.find({ isScheduled: true, isActive: true, publishAt: { $lte: new Date() } })
+        .sort({ publishAt: 1 })
+        .limit(PUBLISH_BATCH_SIZE)
+        .select('_id')
+        .lean();
+
+      if (due.length === 0) break;
+
+      for (const { _id } of due) {
+        if (await this.publishScheduled(_id)) published++;
+      }
+
+      if (due.length < PUBLISH_BATCH_SIZE) break;
+    }
+
+    return published;
+  }
+}
+
+module.exports = new PostService();
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const SecurityEvent = require('../models/SecurityEvent');
+const { ROLES, PERMISSIONS } = require('../utils/constants');
+
+class RoleService {
+  formatAccess(user) {
+    return {
+      userId: user._id,
+      username: user.username,
+      role: user.role,
+      permissions: user.permissions,
+      effectivePermissions: user.getPermissions()
+    };
+  }
+
+  async findUser(userId) {
+    if (!mongoose.isValidObjectId(userId)) {
+      throw new Error('User not found');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return user;
+  }
+
+  // Only full admins may create admins or hand out role management
+  assertCanGrant(actor, { role, permission }) {
+    if ((role === 'admin' || permission === 'roles:manage') && actor.role !== 'admin') {
+      throw new Error('Only admins can grant admin access');
+    }
+  }
+
+  async getAccess(userId) {
+    return this.formatAccess(await this.findUser(userId));
+  }
+
+  // Moderators and admins, plus users holding individual permissions
+  async listStaff(role = null) {
+    const filter = role
+      ? { role }
+      : { $or: [{ role: { $ne: 'user' } }, { 'permissions.0': { $exists: true } }] };
+
+    const users = await User.find(filter)
+      .select('username profile.displayName role permissions badges')
+      .sort({ role: 1, username: 1 });
+
+    return users.map(user => this.formatAccess(user));
+  }
+
+  async setRole(actorId, userId, role, ipAddress) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Invalid role. Use one of: ${ROLES.join(', ')}`);
+    }
+
+    // Also stops the last admin from locking everyone out
+    if (String(actorId) === String(userId)) {
+      throw new Error('You cannot change your own role');
+    }
+
+    const [actor, user] = await Promise.all([this.findUser(actorId), this.findUser(userId)]);
+    this.assertCanGrant(actor, { role });
+
+    // Demoting an admin is an admin-only action too
+    if (user.role === 'admin' && actor.role !== 'admin') {
+      throw new Error('Only admins can grant admin access');
+    }
+
+    const previousRole = user.role;
+    if (previousRole === role) {
+      return this.formatAccess(user);
+    }
+
+    user.role = role; // pre-save hook syncs the moderator badge
+    await user.save();
+
+    await SecurityEvent.record({
+      userId: user._id,
+      type: 'role_changed',
+      severity: 'high',
+      ipAddress,
+      metadata: { actorId, from: previousRole, to: role }
+    });
+
+    console.log(`🛡️ Role of user ${user._id} changed ${previousRole} → ${role} by ${actorId}`);
+    return this.formatAccess(user);
+  }
+
+  async grantPermission(actorId, userId, permission, ipAddress) {
+    return this.updatePermission(actorId, userId, permission, true, ipAddress);
+  }
+
+  async revokePermission(actorId, userId, permission, ipAddress) {
+    return this.updatePermission(actorId, userId, permission, false, ipAddress);
+  }
+
+  async updatePermission(actorId, userId, permission, grant, ipAddress) {
+    if (!PERMISSIONS.includes(permission)) {
+      throw new Error(`Invalid permission. Use one of: ${PERMISSIONS.join(', ')}`);
+    }
+
+    if (String(actorId) === String(userId)) {
+      throw new Error('You cannot change your own permissions');
+    }
+
+    if (!mongoose.isValidObjectId(userId)) {
+      throw new Error('User not found');
+    }
+
+    const actor = await this.findUser(actorId);
+    this.assertCanGrant(actor, { permission });
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      grant ? { $addToSet: { permissions: permission } } : { $pull: { permissions: permission } },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await SecurityEvent.record({
+      userId: user._id,
+      type: 'permissions_changed',
+      severity: 'medium',
+      ipAddress,
+      metadata: { actorId, permission, action: grant ? 'grant' : 'revoke' }
+    });
+
+    console.log(`🛡️ Permission ${permission} ${grant ? 'granted to' : 'revoked from'} user ${user._id} by ${actorId}`);
+    return this.formatAccess(user);
+  }
+}
+
+module.exports = new RoleService();
@@ -0,0 +1,156 @@
+const geolib = require('geolib');
+const config = require('../config');
+const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
+const jwtService = require('./jwtService');
+const customOTPService = require('./customOTPService');
+const geoIpService = require('./geoIpService');
+const socketSessions = require('../sockets/sessions');
+
+const HISTORY_LIMIT = 50; // previous sessions compared against
+const MIN_TRAVEL_KM = 500; // ignore jumps within a region (IP geolocation is coarse)
+
+// Compares each new login with the user's earlier sessions and warns the user
+// (email, security event, socket) about new devices, new countries and
+// impossible travel. Alerts carry a "this wasn't me" link that revokes the session.
+class SecurityAlertService {
+  // Called after a session is created; never throws into the login flow
+  async checkLogin(user, session) {
+    try {
+      if (!config.get('security.loginAlertsEnabled')) return null;
+
+      const location = await geoIpService.lookup(session.ipAddress);
+      if (location) {
+        await Session.updateOne({ _id: session._id }, { $set: { location } });
+      }
+
+      const previous = await Session.find({ userId: user._id, _id: { $ne: session._id } })
+        .sort({ createdAt: -1 })
+        .limit(HISTORY_LIMIT)
+        .select('deviceId location createdAt lastActivity');
+
+      // First login on record - nothing to compare with
+      if (previous.length === 0) return null;
+
+      const reasons = this.detectAnomalies(session, location, previous);
+      if (reasons.length === 0) return null;
+
+      return await this.raiseAlert(user, session, location, reasons);
+
+    } catch (error) {
+      console.error('Login alert check error:', error.message);
+      return null;
+    }
+  }
+
+  detectAnomalies(session, location, previous) {
+    const reasons = [];
+
+    if (!previous.some(s => s.deviceId === session.deviceId)) {
+      reasons.push({ type: 'new_device' });
+    }
+
+    if (!location) return reasons;
+
+    const knownCountries = previous.map(s => s.location?.country).filter(Boolean);
+    if (knownCountries.length > 0 && !knownCountries.includes(location.country)) {
+      reasons.push({ type: 'new_country', country: location.country });
+    }
+
+    const travel = this.checkTravel(location, previous);
+    if (travel) {
+      reasons.push({ type: 'impossible_travel', ...travel });
+    }
+
+    return reasons;
+  }
+
+  // Speed needed to get here from the most recently used located session
+  checkTravel(location, previous) {
+    if (!location.coordinates) return null;
+
+    const last = previous
+      .filter(s => s.location?.coordinates?.length === 2)
+      .sort((a, b) => (b.lastActivity || b.createdAt) - (a.lastActivity || a.createdAt))[0];
+
+    if (!last) return null;
+
+    const [lng, lat] = location.coordinates;
+    const [lastLng, lastLat] = last.location.coordinates;
+
+    const distanceKm = geolib.getDistance(
+      { latitude: lastLat, longitude: lastLng },
+      { latitude: lat, longitude: lng }
+    ) / 1000;
+
+    if (distanceKm < MIN_TRAVEL_KM) return null;
+
+    const hours = Math.max((Date.now() - (last.lastActivity || last.createdAt)) / (60 * 60 * 1000), 0.01);
+    const speedKmh = distanceKm / hours;
+
+    if (speedKmh <= config.get('security.impossibleTravelKmh')) return null;
+
+    return {
+      from: [last.location.city, last.location.country].filter(Boolean).join(', '),
+      distanceKm: Math.round(distanceKm),
+      hours: Math.round(hours * 10) / 10
+    };
+  }
+
+  // Signed link for the frontend page that calls POST /auth/security/not-me
+  createNotMeUrl(user, session) {
+    const token = jwtService.generateTempToken({
+      userId: user._id,
+      purpose: 'not_me',
+      deviceId: session.deviceId,
+      resourceId: String(session._id)
+    }, config.get('security.notMeLinkExpiresIn'));
+
+    return `${config.get('server.frontendUrl')}/security/not-me?token=${encodeURIComponent(token)}`;
+  }
+
+  async raiseAlert(user, session, location, reasons) {
+    const suspicious = reasons.some(r => r.type !== 'new_device');
+    const details = {
+      sessionId: session._id,
+      deviceId: session.deviceId,
+      deviceName: session.deviceInfo?.deviceName,
+      platform: session.deviceInfo?.platform,
+      ipAddress: session.ipAddress,
+      location,
+      reasons,
+      time: session.createdAt || new Date()
+    };
+
+    await SecurityEvent.record({
+      userId: user._id,
+      type: suspicious ? 'suspicious_login' : 'new_device_login',
+      severity: reasons.some(r => r.type === 'impossible_travel') ? 'high' : suspicious ? 'medium' : 'low',
+      deviceId: session.deviceId,
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      metadata: { sessionId: session._id, location, reasons }
+    });
+
+    socketSessions.emitToUser(user._id, 'security_alert', {
+      type: suspicious ? 'suspicious_login' : 'new_device_login',
+      ...details
+    });
+
+    if (user.email) {
+      try {
+        await customOTPService.sendLoginAlert(user.email, {
+          ...details,
+          notMeUrl: this.createNotMeUrl(user, session)
+        });
+      } catch (error) {
+        console.error('Login alert email error:', error.message);
+      }
+    }
+
+    console.log(`🚨 Login alert for user ${user._id}: ${reasons.map(r => r.type).join(', ')}`);
+    return details;
+  }
+}
+
+module.exports = new SecurityAlertService();
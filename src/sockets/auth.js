@@ -0,0 +1,154 @@
+// Socket.IO authentication. Every socket must present a valid access token
+// whose login session is still active; the socket is tied to that session and
+// re-checked when the token expires.
+const jwtService = require('../services/jwtService');
+const authService = require('../services/authService');
+const User = require('../models/User');
+
+// How long a socket may stay connected past token expiry while the client
+// refreshes and sends `reauthenticate`
+const REAUTH_GRACE_MS = 30 * 1000;
+// setTimeout overflows above ~24.8 days
+const MAX_TIMER_MS = 2147483647;
+
+const authError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+// Token from `io({ auth: { token } })`, falling back to an Authorization header
+const extractToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+
+  if (auth.token) return auth.token;
+
+  const header = headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.split(' ')[1];
+  }
+
+  return null;
+};
+
+// Verify an access token and the session behind it; resolves to the decoded token
+const verifyToken = async (token) => {
+  if (!token) {
+    throw authError('Access token required', 'MISSING_ACCESS_TOKEN');
+  }
+
+  let decoded;
+  try {
+    decoded = jwtService.verifyAccessToken(token);
+  } catch (error) {
+    throw error.message.includes('expired')
+      ? authError('Access token expired', 'TOKEN_EXPIRED')
+      : authError('Invalid access token', 'INVALID_TOKEN');
+  }
+
+  const user = await User.findById(decoded.userId).select('isActive');
+  if (!user || !user.isActive) {
+    throw authError('User not found or inactive', 'USER_NOT_FOUND');
+  }
+
+  if (await authService.isAccessTokenRevoked(decoded)) {
+    throw authError('Session has been revoked or expired', 'SESSION_REVOKED');
+  }
+
+  return decoded;
+};
+
+const clearExpiryTimer = (socket) => {
+  if (socket.data.expiryTimer) {
+    clearTimeout(socket.data.expiryTimer);
+    socket.data.expiryTimer = null;
+  }
+};
+
+// When the token expires, ask the client for a fresh one, then drop the
+// socket if it doesn't arrive within the grace period
+const scheduleExpiry = (socket) => {
+  clearExpiryTimer(socket);
+
+  const msUntilExpiry = socket.data.tokenExpiresAt - Date.now();
+
+  if (msUntilExpiry <= 0) {
+    socket.emit('token_expired', { graceMs: REAUTH_GRACE_MS });
+    socket.data.expiryTimer = setTimeout(() => {
+      console.log(`⏰ Socket ${socket.id} token expired without reauthentication`);
+      socket.emit('session_expired', { reason: 'token_expired' });
+      socket.disconnect(true);
+    }, REAUTH_GRACE_MS);
+    return;
+  }
+
+  socket.data.expiryTimer = setTimeout(() => scheduleExpiry(socket), Math.min(msUntilExpiry, MAX_TIMER_MS));
+};
+
+// Bind the verified token to the socket
+const applyToken = (socket, decoded) => {
+  socket.userId = decoded.userId;
+  socket.deviceId = decoded.deviceId;
+  socket.sessionId = decoded.sid || null;
+
+  socket.data.userId = decoded.userId;
+  socket.data.deviceId = decoded.deviceId;
+  socket.data.sessionId = socket.sessionId;
+  socket.data.tokenExpiresAt = decoded.exp * 1000;
+};
+
+// io.use() handshake middleware - rejects anonymous and revoked connections
+const middleware = async (socket, next) => {
+  try {
+    const decoded = await verifyToken(extractToken(socket));
+    applyToken(socket, decoded);
+    next();
+  } catch (error) {
+    console.error('Socket Auth Error:', error.message);
+    next(error.data ? error : authError('Authentication error', 'AUTH_FAILED'));
+  }
+};
+
+// Per-connection wiring: expiry timer plus the `reauthenticate` event
+const attach = (socket) => {
+  scheduleExpiry(socket);
+
+  socket.on('reauthenticate', async (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const token = typeof data === 'string' ? data : data && data.token;
+      const decoded = await verifyToken(token);
+
+      // A socket stays bound to the user and device it connected as
+      if (String(decoded.userId) !== String(socket.userId) || decoded.deviceId !== socket.deviceId) {
+        throw authError('Token belongs to a different session', 'SESSION_MISMATCH');
+      }
+
+      applyToken(socket, decoded);
+      scheduleExpiry(socket);
+
+      reply({ success: true, expiresAt: new Date(socket.data.tokenExpiresAt).toISOString() });
+
+    } catch (error) {
+      console.error('Socket reauthentication error:', error.message);
+      reply({ success: false, error: error.message, code: error.data ? error.data.code : 'AUTH_FAILED' });
+
+      // A revoked session or foreign token ends the connection right away
+      if (error.data && ['SESSION_REVOKED', 'SESSION_MISMATCH', 'USER_NOT_FOUND'].includes(error.data.code)) {
+        socket.emit('session_revoked', { deviceId: socket.deviceId, reason: error.data.code.toLowerCase() });
+        socket.disconnect(true);
+      }
+    }
+  });
+
+  socket.on('disconnect', () => clearExpiryTimer(socket));
+};
+
+module.exports = {
+  REAUTH_GRACE_MS,
+  extractToken,
+  verifyToken,
+  middleware,
+  attach
+};
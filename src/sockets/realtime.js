@@ -1,5 +1,6 @@
 const Message = require('../models/Message');
 const Conversation = require('../models/Conversation');
+const notificationService = require('../services/notificationService');
 
 module.exports = (io, socket) => {
   
@@ -100,6 +101,16 @@ module.exports = (io, socket) => {
         $inc: incUpdate 
       });
 
+      // Notify @mentioned participants
+      notificationService.notifyMentions({
+        actorId: socket.userId,
+        recipientIds: newMessage.mentions,
+        entityType: 'Message',
+        entityId: newMessage._id,
+        context: { conversation: conversationId },
+        text: content
+      });
+
       // F. Emit to ENTIRE Room (including sender for cross-device sync)
       io.to(conversationId).emit('new_message', newMessage);
 
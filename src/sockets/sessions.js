@@ -0,0 +1,62 @@
+// Tracks which sockets belong to which login session so that revoking a
+// session over REST can immediately drop its realtime connections too.
+let io = null;
+
+const userRoom = (userId) => `user_${userId}`;
+const sessionRoom = (userId, deviceId) => `session_${userId}_${deviceId}`;
+
+// Called once from server.js after the Socket.IO server is created
+const attach = (socketServer) => {
+  io = socketServer;
+};
+
+// Put an authenticated socket into its user and session rooms
+const joinSessionRooms = (socket) => {
+  if (!socket.userId) return;
+
+  socket.data.userId = socket.userId;
+  socket.data.deviceId = socket.deviceId;
+
+  socket.join(userRoom(socket.userId));
+  if (socket.deviceId) {
+    socket.join(sessionRoom(socket.userId, socket.deviceId));
+  }
+};
+
+// Disconnect every socket opened with the given session
+const disconnectSession = (userId, deviceId, reason = 'session_revoked') => {
+  if (!io) return;
+
+  const room = sessionRoom(userId, deviceId);
+  io.to(room).emit('session_revoked', { deviceId, reason });
+  io.in(room).disconnectSockets(true);
+};
+
+// Disconnect all of a user's sockets, optionally keeping one device connected
+const disconnectUserSessions = async (userId, excludeDeviceId = null, reason = 'session_revoked') => {
+  if (!io) return;
+
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  sockets
+    .filter(socket => !excludeDeviceId || socket.data.deviceId !== excludeDeviceId)
+    .forEach(socket => {
+      socket.emit('session_revoked', { deviceId: socket.data.deviceId, reason });
+      socket.disconnect(true);
+    });
+};
+
+// Emit an event to every socket of a user
+const emitToUser = (userId, event, payload) => {
+  if (!io) return;
+  io.to(userRoom(userId)).emit(event, payload);
+};
+
+module.exports = {
+  attach,
+  userRoom,
+  sessionRoom,
+  joinSessionRooms,
+  disconnectSession,
+  disconnectUserSessions,
+  emitToUser
+};
@@ -0,0 +1,69 @@
+// Shared constants
+
+// Scopes a personal access token can be granted (see models/ApiToken)
+const API_TOKEN_SCOPES = [
+  'feed:read',
+  'posts:read',
+  'posts:write',
+  'chat:read',
+  'chat:write',
+  'media:write',
+  'users:read',
+  'users:write'
+];
+
+const API_TOKEN_PREFIX = 'pulse_pat_';
+
+// Roles, lowest to highest
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Fine-grained permissions; a user has those of their role plus any granted
+// individually. Each one is checked by a route (requirePermission), so only
+// add one together with the route that needs it.
+const PERMISSIONS = [
+  'posts:moderate',
+  'reports:review',
+  'roles:manage'
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: ['posts:moderate', 'reports:review'],
+  admin: PERMISSIONS
+};
+
+// Why a post was reported
+const REPORT_REASONS = [
+  'spam',
+  'harassment',
+  'hate_speech',
+  'violence',
+  'nudity',
+  'misinformation',
+  'self_harm',
+  'other'
+];
+
+// Posts a user can pin to the top of their profile
+const MAX_PINNED_POSTS = 3;
+
+// Sliding windows for trending hashtags, in hours
+const TRENDING_HASHTAG_WINDOWS = {
+  '1h': 1,
+  '24h': 24,
+  '7d': 7 * 24
+};
+
+const MAX_FOLLOWED_HASHTAGS = 100;
+
+module.exports = {
+  API_TOKEN_SCOPES,
+  API_TOKEN_PREFIX,
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  REPORT_REASONS,
+  MAX_PINNED_POSTS,
+  TRENDING_HASHTAG_WINDOWS,
+  MAX_FOLLOWED_HASHTAGS
+};